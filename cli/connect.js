@@ -0,0 +1,61 @@
+// Signaling and WebRTC for the command line: the same Rondevu client and session tags
+// as the page, with WebRTC from the wrtc package
+
+import { Rondevu } from '@xtr-dev/rondevu-client';
+import { codeToTag } from '../src/lib/sessionCode.js';
+
+const MAX_OFFERS = 5; // Peers that can connect to a host at the same time, as on the page
+
+// Make wrtc's WebRTC available where the client looks for the browser's
+const loadWebRTC = async () => {
+  let wrtc;
+  try {
+    const wrtcModule = await import('wrtc');
+    wrtc = wrtcModule.default || wrtcModule;
+  } catch (err) {
+    throw new Error(`WebRTC support is missing, install it with "npm install wrtc" (${err.message})`);
+  }
+  Object.assign(globalThis, {
+    RTCPeerConnection: wrtc.RTCPeerConnection,
+    RTCSessionDescription: wrtc.RTCSessionDescription,
+    RTCIceCandidate: wrtc.RTCIceCandidate,
+  });
+};
+
+export const connectClient = async ({ apiUrl, iceServers }) => {
+  await loadWebRTC();
+  return Rondevu.connect({
+    apiUrl,
+    username: `cli-${Math.random().toString(36).substring(2, 8)}`,
+    iceServers,
+  });
+};
+
+// Host: publish offers under the session tag and hand every peer that answers to the session
+export const hostSession = async (client, session) => {
+  client.on('connection:opened', (offerId, connection) => {
+    const dc = connection.getDataChannel();
+    if (dc) session.addChannel(dc, { peerConnection: connection.getPeerConnection() });
+  });
+  await client.offer({ tags: [codeToTag(session.code)], maxOffers: MAX_OFFERS });
+};
+
+// Guest: connect to the host of the session code. Resolves once the channel is handed to the
+// session, onClose is called when the connection to the host ends
+export const joinSession = async (client, session, { onState, onClose }) => {
+  const peer = await client.peer({ tags: [codeToTag(session.code)] });
+  peer.on('state', state => onState?.(state));
+  peer.on('message', data => session.receive(peer.dataChannel, data));
+  peer.on('close', () => {
+    session.channelClosed(peer.dataChannel);
+    onClose();
+  });
+  return new Promise((resolve, reject) => {
+    peer.on('open', () => {
+      // The peer forwards the channel's messages and close itself, like on the page
+      session.join(peer.dataChannel, { peerConnection: peer.peerConnection, listen: false });
+      resolve();
+    });
+    peer.on('error', reject);
+  });
+};
@@ -0,0 +1,46 @@
+// Files to share from the command line: paths on disk (folders keep their structure,
+// like a folder dropped on the page) or whatever is piped into stdin
+
+import { openAsBlob, createWriteStream } from 'node:fs';
+import { readdir, stat, mkdtemp, rm } from 'node:fs/promises';
+import { pipeline } from 'node:stream/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// A File backed by the file on disk, read in slices as peers ask for ranges
+const openFile = async (filePath, name = path.basename(filePath)) =>
+  new File([await openAsBlob(filePath)], name);
+
+// Collect { file, path } entries for the given paths, walking into folders.
+// path is relative to the folder's parent ("photos/2024/a.jpg"), null for files given on their own
+export const collectFiles = async (paths) => {
+  const results = [];
+  const walk = async (filePath, prefix) => {
+    const info = await stat(filePath);
+    if (info.isDirectory()) {
+      const names = (await readdir(filePath)).sort();
+      for (const name of names) {
+        await walk(path.join(filePath, name), `${prefix}${path.basename(filePath)}/`);
+      }
+    } else if (info.isFile()) {
+      const file = await openFile(filePath);
+      results.push({ file, path: prefix ? `${prefix}${file.name}` : null });
+    }
+  };
+  for (const filePath of paths) {
+    await walk(path.resolve(filePath), '');
+  }
+  return results;
+};
+
+// Spool stdin to a temporary file so it can be sent in ranges like any other file.
+// Resolves with the file and a function that removes the temporary copy
+export const readStdin = async (name) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'ronde.vu-'));
+  const spool = path.join(dir, 'stdin');
+  await pipeline(process.stdin, createWriteStream(spool));
+  return {
+    file: await openFile(spool, name),
+    cleanup: () => rm(dir, { recursive: true, force: true }),
+  };
+};
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// ronde.vu on the command line: share files with a browser (or another terminal) and receive
+// them, over the same session protocol as the page. Status and progress go to stderr,
+// so stdout stays free for pipe mode
+
+import { parseArgs } from 'node:util';
+import { resolve } from 'node:path';
+import QRCode from 'qrcode';
+import { Session } from '../src/lib/session.js';
+import { generateCode } from '../src/lib/sessionCode.js';
+import { connectClient, hostSession, joinSession } from './connect.js';
+import { collectFiles, readStdin } from './files.js';
+import { createDiskSink, createStdoutSink } from './sinks.js';
+import { createProgress } from './progress.js';
+
+const USAGE = `Usage:
+  rondevu-drop send [options] <file|folder|->...   Share files, - reads stdin
+  rondevu-drop receive [options] [code]           Receive files, joins the code or starts a session
+
+Options:
+  -j, --join <code>       send: join a session instead of starting one
+  -n, --name <name>       send: file name for stdin (default: stdin)
+  -k, --keep              send: keep sharing after every file was downloaded once
+  -o, --out <folder>      receive: where files are saved (default: current folder)
+      --stdout            receive: write the first file to stdout and exit
+      --once              receive: exit after the first file
+  -p, --password <pw>     password to require (starting) or answer with (joining)
+      --api <url>         signaling server (default: $API_URL or https://api.ronde.vu)
+      --ice <preset>      ICE servers preset (default: rondevu)
+      --web <url>         page the link and QR code point to (default: https://ronde.vu)
+  -h, --help              show this help
+`;
+
+const OPTIONS = {
+  join: { type: 'string', short: 'j' },
+  name: { type: 'string', short: 'n', default: 'stdin' },
+  keep: { type: 'boolean', short: 'k', default: false },
+  out: { type: 'string', short: 'o', default: '.' },
+  stdout: { type: 'boolean', default: false },
+  once: { type: 'boolean', default: false },
+  password: { type: 'string', short: 'p', default: '' },
+  api: { type: 'string', default: process.env.API_URL || 'https://api.ronde.vu' },
+  ice: { type: 'string', default: 'rondevu' },
+  web: { type: 'string', default: 'https://ronde.vu' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const DRAIN_POLL_MS = 100;
+const EXIT_GRACE_MS = 500; // Lets the last messages (e.g. upload counts) leave before closing
+
+const progress = createProgress();
+const cleanups = [];
+let exiting = false;
+
+const exit = async (code) => {
+  if (exiting) return;
+  exiting = true;
+  progress.stop();
+  for (const cleanup of cleanups) {
+    await Promise.resolve().then(cleanup).catch(err => console.error(err.message));
+  }
+  process.exit(code);
+};
+
+const fail = (message) => {
+  progress.log(`Error: ${message}`);
+  exit(1);
+};
+
+// Create the session and show what it reports
+const createSession = (client, options) => {
+  const session = new Session({ username: client.getName(), ...options });
+  session.on('transfers', progress.update);
+  session.on('notice', ({ message }) => progress.log(message));
+  session.on('rejected', reason => fail(reason));
+  session.on('password-required', () => fail('This session needs a password, pass it with --password'));
+  // Nobody can click "admit" here, everyone with the code (and password) gets in
+  session.on('join-requests', requests => {
+    if (requests.length > 0) session.admit(requests[0]);
+  });
+  cleanups.push(() => session.leave());
+  return session;
+};
+
+// Resolves once everything we sent has left our channels, closing them earlier would cut it off
+const drained = async (session) => {
+  while ([...session.channels].some(dc => dc.readyState === 'open' && dc.bufferedAmount > 0)) {
+    await new Promise(done => setTimeout(done, DRAIN_POLL_MS));
+  }
+  await new Promise(done => setTimeout(done, EXIT_GRACE_MS));
+};
+
+// Start a session and tell the user how to join it
+const startHosting = async (client, values) => {
+  const session = createSession(client, { code: generateCode(), host: true, password: values.password });
+  await hostSession(client, session);
+  const link = `${values.web.replace(/\/$/, '')}/${session.code}`;
+  const qr = await QRCode.toString(link, { type: 'terminal', small: true });
+  progress.log(`${qr}\nSession code: ${session.code}\nOpen ${link} or run: rondevu-drop receive ${session.code}`);
+  if (values.password) progress.log('The session is password protected');
+  return session;
+};
+
+// Join a session and wait until the host lets us in
+const joinHost = async (client, code, values) => {
+  const session = createSession(client, { code: code.toUpperCase().trim(), joinPassword: values.password });
+  const connected = new Promise(done => session.on('status', status => status === 'connected' && done()));
+  progress.log(`Connecting to ${session.code}...`);
+  try {
+    await joinSession(client, session, {
+      onClose: () => {
+        progress.log('The host left');
+        exit(0);
+      },
+    });
+  } catch (err) {
+    throw new Error(err.message?.includes('No peers found') ? 'Session not found or has ended' : err.message);
+  }
+  await connected;
+  progress.log('Connected');
+  return session;
+};
+
+const send = async (paths, values) => {
+  if (paths.length === 0) return fail('Nothing to send');
+
+  const entries = await collectFiles(paths.filter(p => p !== '-'));
+  if (paths.includes('-')) {
+    const { file, cleanup } = await readStdin(values.name);
+    cleanups.push(cleanup);
+    entries.push({ file, path: null });
+  }
+  if (entries.length === 0) return fail('No files found');
+
+  const client = await connectClient({ apiUrl: values.api, iceServers: values.ice });
+  cleanups.push(() => client.stopFilling?.());
+  const session = values.join
+    ? await joinHost(client, values.join, values)
+    : await startHosting(client, values);
+
+  const ids = new Set(entries.map(({ file, path }) => session.shareFile(file, { path }).id));
+  progress.log(`Sharing ${ids.size} file${ids.size !== 1 ? 's' : ''}`);
+
+  // Done once every file was downloaded by someone
+  if (!values.keep) {
+    session.on('transfers', transfers => {
+      const ours = transfers.filter(t => ids.has(t.id) && t.direction === 'out');
+      if (ours.every(t => t.uploadCount > 0)) {
+        drained(session).then(() => exit(0));
+      }
+    });
+  }
+};
+
+const receive = async ([code], values) => {
+  const once = values.once || values.stdout;
+  const out = resolve(values.out);
+
+  const client = await connectClient({ apiUrl: values.api, iceServers: values.ice });
+  cleanups.push(() => client.stopFilling?.());
+  const session = code ? await joinHost(client, code, values) : await startHosting(client, values);
+
+  // Download every file as it is offered, into the output folder or to stdout
+  const requested = new Set();
+  session.on('transfers', async transfers => {
+    for (const transfer of transfers) {
+      if (transfer.direction === 'in' && requested.has(transfer.id) && once
+        && ['complete', 'corrupt', 'error'].includes(transfer.status)) {
+        setTimeout(() => exit(transfer.status === 'complete' ? 0 : 1), EXIT_GRACE_MS);
+      }
+      if (transfer.direction !== 'in' || transfer.status !== 'available' || requested.has(transfer.id)) continue;
+      if (once && requested.size > 0) continue;
+      requested.add(transfer.id);
+      try {
+        const sink = values.stdout ? createStdoutSink() : await createDiskSink(out, transfer);
+        if (!session.download(transfer.id, sink)) {
+          progress.log(`${transfer.name}: peer disconnected`);
+        }
+      } catch (err) {
+        progress.log(`Can't save ${transfer.path || transfer.name}: ${err.message}`);
+      }
+    }
+  });
+  progress.log(values.stdout ? 'Waiting for a file...' : `Saving files to ${out}`);
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  const { values, positionals: [command, ...args] } = parsed;
+  if (values.help || !['send', 'receive'].includes(command)) {
+    process.stderr.write(USAGE);
+    process.exit(values.help ? 0 : 2);
+  }
+
+  process.on('SIGINT', () => exit(130));
+  try {
+    await (command === 'send' ? send(args, values) : receive(args, values));
+  } catch (err) {
+    fail(err.message);
+  }
+};
+
+main();
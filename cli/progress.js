@@ -0,0 +1,87 @@
+// Progress bars for a session's running transfers on stderr (stdout may be the pipe).
+// On a terminal the bars are redrawn in place, otherwise only finished transfers are printed
+
+import { formatSize, formatRate, formatEta } from '../src/lib/format.js';
+
+const BAR_WIDTH = 24;
+const REDRAW_MS = 100; // Redraw at most this often, updates come in per chunk
+const RUNNING = ['requesting', 'transferring', 'resuming', 'paused', 'verifying'];
+const FINISHED = ['complete', 'corrupt', 'error', 'declined'];
+
+const renderBar = (progress) => {
+  const filled = Math.round((progress / 100) * BAR_WIDTH);
+  return `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}]`;
+};
+
+const renderLine = (transfer) => {
+  const arrow = transfer.direction === 'out' ? '↑' : '↓';
+  const name = transfer.path || transfer.name;
+  const details = [`${String(transfer.progress || 0).padStart(3)}%`, formatSize(transfer.size)];
+  if (transfer.status === 'paused') details.push('paused');
+  if (transfer.speed) details.push(formatRate(transfer.speed));
+  if (transfer.eta !== null && transfer.eta !== undefined) details.push(`${formatEta(transfer.eta)} left`);
+  return `${arrow} ${renderBar(transfer.progress || 0)} ${details.join(' · ')}  ${name}`;
+};
+
+const describeFinished = (transfer) => {
+  const name = transfer.path || transfer.name;
+  switch (transfer.status) {
+    case 'complete': return transfer.direction === 'out'
+      ? `Sent ${name} (${formatSize(transfer.size)})`
+      : `Received ${name} (${formatSize(transfer.size)}${transfer.integrity === 'unverified' ? ', unverified' : ''})`;
+    case 'corrupt': return `${name} failed verification`;
+    case 'declined': return `${name} was declined`;
+    default: return `${name} failed`;
+  }
+};
+
+export const createProgress = (stream = process.stderr) => {
+  const interactive = Boolean(stream.isTTY);
+  const statuses = new Map(); // fileId:direction -> last status we saw, to print each finish once
+  let transfers = [];
+  let drawnLines = 0;
+  let timer = null;
+
+  const clear = () => {
+    if (drawnLines > 0) stream.write(`\x1b[${drawnLines}A\x1b[J`);
+    drawnLines = 0;
+  };
+
+  const draw = () => {
+    timer = null;
+    if (!interactive) return;
+    clear();
+    const lines = transfers.filter(t => RUNNING.includes(t.status)).map(renderLine);
+    if (lines.length > 0) stream.write(`${lines.join('\n')}\n`);
+    drawnLines = lines.length;
+  };
+
+  // Print a message above the bars
+  const log = (message) => {
+    clear();
+    stream.write(`${message}\n`);
+    draw();
+  };
+
+  // Take the session's latest transfer list
+  const update = (next) => {
+    transfers = next;
+    next.forEach(t => {
+      const key = `${t.id}:${t.direction}`;
+      const previous = statuses.get(key);
+      statuses.set(key, t.status);
+      if (previous !== undefined && previous !== t.status && FINISHED.includes(t.status)) {
+        log(describeFinished(t));
+      }
+    });
+    if (!timer) timer = setTimeout(draw, REDRAW_MS);
+  };
+
+  // Stop redrawing, leaving the last bars on screen
+  const stop = () => {
+    clearTimeout(timer);
+    draw();
+  };
+
+  return { log, update, stop };
+};
@@ -0,0 +1,66 @@
+// Destinations for files received on the command line, with the same shape as
+// the page's sinks (see src/lib/fileSink.js): write(chunk) in order, close(), abort()
+
+import { openAsBlob } from 'node:fs';
+import { open, mkdir, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { safeRelativePath } from '../src/lib/folders.js';
+
+// Open a new file, adding " (2)", " (3)" ... before the extension when the name is taken
+const openUnique = async (target) => {
+  const { dir, name, ext } = path.parse(target);
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? target : path.join(dir, `${name} (${n})${ext}`);
+    try {
+      return { filePath: candidate, handle: await open(candidate, 'wx') };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+};
+
+// Stream a file to disk under dir, at its path inside a shared folder or under its name
+export const createDiskSink = async (dir, transfer) => {
+  const relativePath = safeRelativePath(transfer.path || transfer.name) || 'download';
+  const target = path.join(dir, relativePath);
+  await mkdir(path.dirname(target), { recursive: true });
+  const { filePath, handle } = await openUnique(target);
+
+  let queue = Promise.resolve();
+  return {
+    kind: 'disk',
+    filePath,
+    // Lets us serve the saved file to other peers, like the page does
+    getFile: async () => new File([await openAsBlob(filePath)], transfer.name),
+    write: (chunk) => { queue = queue.then(() => handle.write(chunk)); },
+    close: async () => {
+      await queue;
+      await handle.close();
+      return null;
+    },
+    abort: async () => {
+      await queue.catch(() => {});
+      await handle.close();
+      await unlink(filePath).catch(() => {});
+    },
+  };
+};
+
+// Write a file to stdout (pipe mode), waiting for the pipe to drain between chunks
+export const createStdoutSink = () => {
+  let queue = Promise.resolve();
+  const writeChunk = (chunk) => new Promise((resolve, reject) => {
+    process.stdout.write(chunk, err => (err ? reject(err) : resolve()));
+  });
+  return {
+    kind: 'stream',
+    write: (chunk) => { queue = queue.then(() => writeChunk(chunk)); },
+    close: async () => {
+      await queue;
+      return null;
+    },
+    abort: async () => {
+      await queue.catch(() => {});
+    },
+  };
+};
@@ -0,0 +1,54 @@
+// Download service worker
+// Serves /__download/... URLs as streams fed by the page, so large incoming
+// files are written to disk by the browser's download manager instead of RAM
+
+const downloads = new Map(); // url -> { stream, name, size, mimeType }
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'download') return;
+
+  const { url, name, size, mimeType } = event.data;
+  const port = event.ports[0];
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data.type === 'chunk') {
+          controller.enqueue(data.chunk);
+        } else if (data.type === 'end') {
+          controller.close();
+          port.close();
+        } else if (data.type === 'abort') {
+          controller.error(new Error('Download aborted'));
+          port.close();
+        }
+      };
+    },
+    cancel() {
+      port.close();
+    },
+  });
+
+  downloads.set(new URL(url, self.registration.scope).href, { stream, name, size, mimeType });
+  port.postMessage({ type: 'ready' });
+});
+
+self.addEventListener('fetch', (event) => {
+  const download = downloads.get(event.request.url);
+  if (!download) return;
+  downloads.delete(event.request.url);
+
+  const headers = {
+    'Content-Type': download.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`,
+  };
+  // Unknown for archives built on the fly
+  if (download.size != null) {
+    headers['Content-Length'] = String(download.size);
+  }
+
+  event.respondWith(new Response(download.stream, { headers }));
+});
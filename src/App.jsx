@@ -5,6 +5,25 @@ import QRCode from 'qrcode';
 import DataTable, { createTheme } from 'react-data-table-component';
 import ChatPanel from './components/ChatPanel';
 import ConnectionStages, { getStageText } from './components/ConnectionStages';
+import FileTree from './components/FileTree';
+import PeerRoster from './components/PeerRoster';
+import JoinRequests from './components/JoinRequests';
+import QrScanner from './components/QrScanner';
+import SessionStats from './components/SessionStats';
+import FilePreview from './components/FilePreview';
+import {
+  createFileSink, createMemorySink, createDirectorySink, pickDirectory, saveBlob,
+} from './lib/fileSink';
+import { createZipWriter } from './lib/zip';
+import { formatSize, formatRate, formatEta, getFileIcon } from './lib/format';
+import { createPreview, getPreviewKind } from './lib/preview';
+import { collectDroppedFiles, collectSelectedFiles, groupTransfers, safeRelativePath } from './lib/folders';
+import { Session } from './lib/session';
+import { generateCode, codeToTag } from './lib/sessionCode';
+import {
+  saveHostSession, saveSharedFile, removeSharedFile, clearHostSession, loadHostSession,
+  restoreSharedFiles, requestFileAccess,
+} from './lib/sessionStore';
 
 // Create dark theme for DataTable
 createTheme('rondevu', {
@@ -15,37 +34,11 @@ createTheme('rondevu', {
   sortFocus: { default: '#4a9eff' },
 }, 'dark');
 
-const API_URL = 'https://api.ronde.vu';
-const CHUNK_SIZE = 16 * 1024; // 16KB chunks
-const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No I,O,0,1
-
-// Generate 6-char session code
-const generateCode = () => Array.from({ length: 6 }, () =>
-  CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]
-).join('');
-
-// Create session tag from code
-const codeToTag = (code) => `drop.ronde.vu-${code.toLowerCase()}`;
-
-// Format file size
-const formatSize = (bytes) => {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
-  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
-};
-
-// Get file icon based on MIME type
-const getFileIcon = (mimeType) => {
-  if (!mimeType) return '📄';
-  if (mimeType.startsWith('image/')) return '🖼️';
-  if (mimeType.startsWith('video/')) return '🎬';
-  if (mimeType.startsWith('audio/')) return '🎵';
-  if (mimeType.includes('pdf')) return '📕';
-  if (mimeType.includes('zip') || mimeType.includes('tar') || mimeType.includes('rar')) return '📦';
-  if (mimeType.includes('text') || mimeType.includes('json') || mimeType.includes('xml')) return '📝';
-  return '📄';
-};
+const API_URL = import.meta.env.VITE_API_URL || 'https://api.ronde.vu'; // Signaling server, VITE_API_URL points it elsewhere
+const MIN_SHOWN_RATIO = 1.1; // Compression ratios below this aren't worth showing
+const MIGRATION_RETRY_MS = 2000; // Time for the next host to publish its offers
+const MIGRATION_ATTEMPTS = 3; // Connection attempts per host candidate before moving on
+const PREVIEW_DOWNLOAD_LIMIT = 64 * 1024 * 1024; // Files up to this size are fetched into memory to preview them
 
 // Available ICE server presets
 const ICE_PRESETS = [
@@ -78,55 +71,237 @@ export default function App() {
   // Session
   const [sessionCode, setSessionCode] = useState(null);
   const [isHost, setIsHost] = useState(false);
-  const [connectedPeers, setConnectedPeers] = useState([]); // Array of connected peer usernames
+  const sessionRef = useRef(null); // Session that runs the protocol over our data channels
+  const [roster, setRoster] = useState([]); // {channel, username, joinedAt, peerConnection} per connected peer
+  const [joinRequests, setJoinRequests] = useState([]); // Host: {channel, username, requestedAt} waiting for approval
+  const [bannedUsers, setBannedUsers] = useState([]); // Host: usernames refused at identify
   const [connectionStatus, setConnectionStatus] = useState('disconnected'); // disconnected | waiting | connecting | connected
   const [connectionStage, setConnectionStage] = useState(''); // signaling | checking | connected
-  const [dataChannel, setDataChannel] = useState(null);
   const [peerConnection, setPeerConnection] = useState(null);
 
   // Files
   const [transfers, setTransfers] = useState([]); // {id, name, size, mimeType, progress, direction, blob?, status}
   const [isDragOver, setIsDragOver] = useState(false);
   const [queuedFiles, setQueuedFiles] = useState([]); // Files waiting to be sent when peer connects
-  const incomingFilesRef = useRef({}); // Track incoming file chunks
+  const [pendingHandles, setPendingHandles] = useState([]); // Restored file records waiting for read access again
+  const savedFileIdsRef = useRef(new Set()); // Host: shared files already saved for session recovery
   const transfersRef = useRef([]); // Ref for access in callbacks
-  const dataChannelRef = useRef(null); // Ref for dataChannel access in callbacks
-  const allChannelsRef = useRef(new Set()); // Track all connected data channels for broadcasting
 
   // Chat
   const [chatMessages, setChatMessages] = useState([]);
   const [chatInput, setChatInput] = useState('');
-  const chatMessagesRef = useRef([]);
+  const [typingUsers, setTypingUsers] = useState([]); // Peers typing a message right now
 
   // Keep refs in sync with state
-  useEffect(() => {
-    chatMessagesRef.current = chatMessages;
-  }, [chatMessages]);
-
   useEffect(() => {
     transfersRef.current = transfers;
   }, [transfers]);
 
-  useEffect(() => {
-    dataChannelRef.current = dataChannel;
-  }, [dataChannel]);
-
   // UI
   const [joinInput, setJoinInput] = useState('');
   const [qrDataUrl, setQrDataUrl] = useState(null);
   const [chatOpen, setChatOpen] = useState(false); // For mobile chat toggle
   const [showQrPopout, setShowQrPopout] = useState(false); // QR code popout on long-press
+  const [showQrScanner, setShowQrScanner] = useState(false); // Camera QR scanner in the lobby
+  const [previewId, setPreviewId] = useState(null); // File open in the preview
   const longPressTimerRef = useRef(null);
 
   // Password protection
-  const [sessionPassword, setSessionPassword] = useState('');
+  const [passwordKeys, setPasswordKeys] = useState(null); // Host: keys (promise) of the session password, see lib/sessionCrypto
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [passwordInput, setPasswordInput] = useState('');
-  const [pendingPasswordChannel, setPendingPasswordChannel] = useState(null); // Channel waiting for password
-  const sessionPasswordRef = useRef('');
-  useEffect(() => { sessionPasswordRef.current = sessionPassword; }, [sessionPassword]);
+  const [passwordLockedUntil, setPasswordLockedUntil] = useState(0); // Host: when the last peer locked out after wrong passwords may try again
 
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  // Speed and time left of a running transfer, nothing until there is a rate to show,
+  // and how much smaller compression made it
+  const renderTransferRate = ({ speed, eta, compressionRatio }) => {
+    if (!speed) return null;
+    return (
+      <span className="transfer-rate">
+        {formatRate(speed)}{eta !== null && eta !== undefined && ` · ${formatEta(eta)} left`}
+        {compressionRatio >= MIN_SHOWN_RATIO && ` · ${compressionRatio.toFixed(1)}× smaller`}
+      </span>
+    );
+  };
+
+  // Compression ratio of a finished transfer, when it made a difference
+  const renderCompression = ({ compressionRatio }) => (compressionRatio >= MIN_SHOWN_RATIO
+    ? <span className="file-status compressed" title="Sent compressed">{compressionRatio.toFixed(1)}× smaller</span>
+    : null);
+
+  const renderProgressBar = (progress) => (
+    <>
+      <div className="progress-bar-inline">
+        <div className="progress-fill" style={{ width: `${progress}%` }} />
+      </div>
+      <span className="progress-text">{progress}%</span>
+    </>
+  );
+
+  // Status cell for a file, also used for the files inside an expanded folder
+  const renderFileState = (row) => {
+    // Incoming file being downloaded
+    if (row.status === 'transferring' && row.direction === 'in') {
+      return (
+        <div className="transfer-progress">
+          <div className="file-progress">{renderProgressBar(row.progress)}</div>
+          {renderTransferRate(row)}
+        </div>
+      );
+    }
+    // Outgoing file being uploaded - progress per peer receiving it
+    if (row.status === 'transferring' && row.direction === 'out') {
+      if (!row.recipients?.length) {
+        return <span className="file-status uploading">Sending...</span>;
+      }
+      return (
+        <div className="transfer-progress">
+          {row.recipients.map(recipient => (
+            <div key={recipient.name} className="file-progress">
+              <span className="upload-recipient" title={`${recipient.name} · ${formatRate(recipient.speed)}`}>
+                {recipient.name}
+              </span>
+              {renderProgressBar(Math.round((recipient.sent / recipient.total) * 100) || 0)}
+            </div>
+          ))}
+          {renderTransferRate(row)}
+        </div>
+      );
+    }
+    if (row.status === 'available' && row.direction === 'in') {
+      return <a className="table-link" onClick={() => handleDownload(row)}>Download</a>;
+    }
+    if (row.status === 'available' && row.direction === 'out') {
+      return row.uploadCount > 0
+        ? <span className="file-status complete">Sent ×{row.uploadCount}</span>
+        : <span className="file-status ready">Ready</span>;
+    }
+    if (row.status === 'verifying') {
+      return <span className="file-status uploading">Verifying...</span>;
+    }
+    if (row.status === 'requesting') {
+      return <span className="file-status requesting">Requesting...</span>;
+    }
+    if (row.status === 'queued') {
+      return <span className="file-status queued">Queued</span>;
+    }
+    if (row.status === 'corrupt') {
+      return <span className="file-status corrupt" title="Integrity check failed">Corrupt</span>;
+    }
+    if (row.status === 'paused') {
+      return <span className="file-status paused">Paused</span>;
+    }
+    if (row.status === 'resuming') {
+      return <span className="file-status requesting">Resuming...</span>;
+    }
+    if (row.status === 'complete' && row.direction === 'in') {
+      return (
+        <span className="file-actions">
+          {row.savedToDisk
+            ? <span className="file-status complete">Saved</span>
+            : <a className="table-link" onClick={() => handleDownload(row)}>Save</a>}
+          {row.integrity === 'verified' && (
+            <span className="file-status verified" title={`SHA-256 ${row.sha256}`}>✓ Verified</span>
+          )}
+          {row.integrity === 'unverified' && (
+            <span className="file-status unverified" title="The sender's SHA-256 never arrived, the file couldn't be checked">
+              ⚠ Unverified
+            </span>
+          )}
+          {renderCompression(row)}
+        </span>
+      );
+    }
+    if (row.status === 'complete' && row.direction === 'out') {
+      return (
+        <span className="file-actions">
+          <span className="file-status complete">Sent ×{row.uploadCount || 1}</span>
+          {renderCompression(row)}
+        </span>
+      );
+    }
+    if (row.status === 'error') {
+      return <span className="file-status corrupt">Failed</span>;
+    }
+    return null;
+  };
+
+  // Pause, resume, cancel and retry links for a transfer, on either side
+  const renderTransferControls = (row) => {
+    const active = row.direction === 'in'
+      ? ['requesting', 'transferring', 'resuming'].includes(row.status)
+      : row.status === 'transferring';
+    const cancel = row.direction === 'in' ? handleCancelDownload : handleCancelUpload;
+    // Concurrent uploads can be reordered, the scheduler sends higher ones first
+    const reorderable = row.direction === 'out' && active &&
+      transfersRef.current.filter(t => t.direction === 'out' && t.status === 'transferring').length > 1;
+    if (active) {
+      return (
+        <>
+          {reorderable && (
+            <>
+              <a className="table-link" title="Send before other files" onClick={() => handleMoveUpload(row, 1)}>↑</a>
+              <a className="table-link" title="Send after other files" onClick={() => handleMoveUpload(row, -1)}>↓</a>
+            </>
+          )}
+          <a className="table-link" onClick={() => (row.direction === 'in' ? handlePauseDownload : handlePauseUpload)(row)}>Pause</a>
+          <a className="table-link" onClick={() => cancel(row)}>Cancel</a>
+        </>
+      );
+    }
+    if (row.status === 'paused') {
+      return (
+        <>
+          {row.pausedByUser && (
+            <a className="table-link" onClick={() => (row.direction === 'in' ? handleResumeDownload : handleResumeUpload)(row)}>Resume</a>
+          )}
+          <a className="table-link" onClick={() => cancel(row)}>Cancel</a>
+        </>
+      );
+    }
+    if (row.status === 'error' || (row.status === 'corrupt' && row.direction === 'in')) {
+      return <a className="table-link" onClick={() => (row.direction === 'in' ? handleRetryDownload : handleRetryUpload)(row)}>Retry</a>;
+    }
+    return null;
+  };
+
+  const renderFileStatus = (row) => {
+    const controls = renderTransferControls(row);
+    if (!controls) return renderFileState(row);
+    return (
+      <span className="file-actions">
+        {renderFileState(row)}
+        {controls}
+      </span>
+    );
+  };
+
+  // Status cell for a shared folder row, summarizing its files
+  const renderFolderStatus = (row) => {
+    if (row.status === 'transferring') {
+      return (
+        <div className="file-progress">
+          <div className="progress-bar-inline">
+            <div className="progress-fill" style={{ width: `${row.progress}%` }} />
+          </div>
+          <span className="progress-text">{row.progress}%</span>
+        </div>
+      );
+    }
+    if (row.status === 'available' && row.direction === 'in') {
+      return <a className="table-link" onClick={() => handleDownloadFolder(row)}>Download folder</a>;
+    }
+    if (row.status === 'paused') {
+      return <span className="file-status paused">Paused</span>;
+    }
+    if (row.status === 'complete') {
+      return <span className="file-status complete">{row.direction === 'in' ? 'Saved' : 'Sent'}</span>;
+    }
+    return <span className="file-status ready">{row.files.length} files</span>;
+  };
 
   // DataTable columns for file list (must be before any conditional returns)
   const fileColumns = useMemo(() => [
@@ -139,13 +314,24 @@ export default function App() {
     },
     {
       name: '',
-      cell: row => <span className="file-icon">{getFileIcon(row.mimeType)}</span>,
+      cell: row => (row.preview?.thumbnail
+        ? <img className="file-thumbnail" src={row.preview.thumbnail} alt="" />
+        : <span className="file-icon">{row.isFolder ? '📁' : getFileIcon(row.mimeType)}</span>),
       width: '40px',
       sortable: false,
     },
     {
       name: 'Name',
       selector: row => row.name,
+      cell: row => {
+        if (row.isFolder) {
+          return <span className="folder-name">{row.name}/ <span className="folder-count">{row.files.length} files</span></span>;
+        }
+        // Files we can show open in the preview
+        return getPreviewKind(row)
+          ? <a className="table-link" title={row.preview?.excerpt} onClick={() => handlePreview(row)}>{row.name}</a>
+          : row.name;
+      },
       sortable: true,
       grow: 2,
     },
@@ -160,45 +346,22 @@ export default function App() {
       name: 'Status',
       selector: row => row.status,
       sortable: true,
-      width: '140px',
-      cell: row => {
-        // Incoming file being downloaded
-        if (row.status === 'transferring' && row.direction === 'in') {
-          return (
-            <div className="file-progress">
-              <div className="progress-bar-inline">
-                <div className="progress-fill" style={{ width: `${row.progress}%` }} />
-              </div>
-              <span className="progress-text">{row.progress}%</span>
-            </div>
-          );
-        }
-        // Outgoing file being uploaded - just show status text, no progress
-        if (row.status === 'transferring' && row.direction === 'out') {
-          return <span className="file-status uploading">Sending...</span>;
-        }
-        if (row.status === 'available' && row.direction === 'in') {
-          return <a className="table-link" onClick={() => handleDownload(row)}>Download</a>;
-        }
-        if (row.status === 'available' && row.direction === 'out') {
-          return row.uploadCount > 0
-            ? <span className="file-status complete">Sent ×{row.uploadCount}</span>
-            : <span className="file-status ready">Ready</span>;
-        }
-        if (row.status === 'requesting') {
-          return <span className="file-status requesting">Requesting...</span>;
-        }
-        if (row.status === 'complete' && row.direction === 'in') {
-          return <a className="table-link" onClick={() => handleDownload(row)}>Save</a>;
-        }
-        if (row.status === 'complete' && row.direction === 'out') {
-          return <span className="file-status complete">Sent ×{row.uploadCount || 1}</span>;
-        }
-        return null;
-      },
+      width: '300px',
+      cell: row => (row.isFolder ? renderFolderStatus(row) : renderFileStatus(row)),
     },
   ], []);
 
+  // Table rows, with the files of shared folders collapsed into one expandable row each
+  const fileRows = useMemo(() => groupTransfers(transfers), [transfers]);
+
+  // The previewed file, it follows the row while the file arrives
+  const previewTransfer = previewId && transfers.find(t => t.id === previewId);
+  const closePreview = useCallback(() => setPreviewId(null), []);
+
+  // Rows checked in the file table, for "Download selected"
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [clearSelection, setClearSelection] = useState(false); // Toggle to reset the table's checkboxes
+
   // Check URL for join code on mount (supports /CODE and ?join=CODE)
   useEffect(() => {
     // Check path first: /CODE
@@ -283,239 +446,76 @@ export default function App() {
     }
   };
 
-  // Handle incoming data channel message
-  const handleMessage = useCallback((event) => {
-    // Binary data = file chunk
-    if (event.data instanceof ArrayBuffer) {
-      const view = new DataView(event.data);
-      const decoder = new TextDecoder();
-
-      // Extract file ID (first 36 bytes)
-      const fileId = decoder.decode(new Uint8Array(event.data, 0, 36));
-      // Extract chunk index (next 4 bytes)
-      const chunkIndex = view.getUint32(36);
-      // Extract chunk data
-      const chunkData = new Uint8Array(event.data, 40);
-
-      const incoming = incomingFilesRef.current[fileId];
-      if (incoming) {
-        incoming.chunks[chunkIndex] = chunkData;
-        incoming.receivedChunks++;
-
-        const progress = Math.round((incoming.receivedChunks / incoming.totalChunks) * 100);
-
-        setTransfers(prev => prev.map(t =>
-          t.id === fileId ? { ...t, progress } : t
-        ));
-
-        // Check if complete
-        if (incoming.receivedChunks === incoming.totalChunks) {
-          const blob = new Blob(incoming.chunks, { type: incoming.mimeType });
-          setTransfers(prev => prev.map(t =>
-            t.id === fileId ? { ...t, progress: 100, status: 'complete', blob } : t
-          ));
-          delete incomingFilesRef.current[fileId];
-        }
-      }
-      return;
-    }
+  // Start the headless session (lib/session) for a code and mirror its state into React,
+  // it runs the protocol on the channels we hand it
+  const startSession = (options) => {
+    const session = new Session(options);
+    session.on('transfers', setTransfers);
+    session.on('chat', setChatMessages);
+    session.on('typing', setTypingUsers);
+    session.on('roster', setRoster);
+    session.on('join-requests', setJoinRequests);
+    session.on('banned', setBannedUsers);
+    session.on('password-lockout', setPasswordLockedUntil);
+    session.on('status', setConnectionStatus);
+    session.on('admission', () => setConnectionStage('admission'));
+    session.on('password-required', () => setShowPasswordModal(true));
+    session.on('rejected', endRejectedSession);
+    session.on('notice', ({ level, message }) => (level === 'info' ? toast(message) : toast[level](message)));
+    sessionRef.current = session;
+    setTransfers(session.transfers);
+    setChatMessages(session.chatMessages);
+    setTypingUsers([]);
+    setRoster(session.roster);
+    setJoinRequests(session.joinRequests);
+    setBannedUsers(session.banned);
+    setPasswordKeys(session.passwordKeys);
+    setPasswordLockedUntil(0);
+    return session;
+  };
 
-    // JSON message
-    try {
-      const msg = JSON.parse(event.data);
-
-      // Password protocol - must be checked before any other messages
-      if (msg.type === 'password-check') {
-        // Host receives password check from joining peer
-        if (sessionPasswordRef.current && !msg.password) {
-          // Password required but peer didn't send one - prompt them
-          event.target.send(JSON.stringify({ type: 'password-required' }));
-        } else if (!sessionPasswordRef.current || msg.password === sessionPasswordRef.current) {
-          // No password set OR correct password
-          event.target.send(JSON.stringify({ type: 'password-ok' }));
-        } else {
-          // Wrong password
-          event.target.send(JSON.stringify({ type: 'password-fail' }));
-          setTimeout(() => event.target.close(), 100);
-        }
-        return;
-      } else if (msg.type === 'password-ok') {
-        // Peer receives password accepted - send identify
-        event.target.send(JSON.stringify({ type: 'identify', from: username }));
-        return;
-      } else if (msg.type === 'password-fail') {
-        toast.error('Incorrect password');
-        setConnectionStatus('disconnected');
-        setSessionCode(null);
-        window.history.replaceState({}, '', '/');
-        return;
-      } else if (msg.type === 'password-required') {
-        // Host tells peer that password is required
-        setPendingPasswordChannel(event.target);
-        setShowPasswordModal(true);
-        return;
-      }
+  // Guest: the host turned us away or we can't talk to it (the session has left), back to the lobby
+  const endRejectedSession = (reason) => {
+    toast.error(reason);
+    sessionRef.current = null;
+    setConnectionStatus('disconnected');
+    setSessionCode(null);
+    setTransfers([]);
+    window.history.replaceState({}, '', '/');
+  };
 
-      if (msg.type === 'identify') {
-        // Add peer to connected list
-        setConnectedPeers(prev => prev.includes(msg.from) ? prev : [...prev, msg.from]);
-        setConnectionStatus('connected');
-        // Send ack
-        event.target.send(JSON.stringify({ type: 'identify_ack', from: username }));
-        // Send chat history
-        if (chatMessagesRef.current.length > 0) {
-          event.target.send(JSON.stringify({
-            type: 'chat-history',
-            messages: chatMessagesRef.current.map(m => ({ from: m.from, text: m.text, timestamp: m.timestamp })),
-          }));
-        }
-        // Send available files to new peer
-        transfersRef.current.filter(t => t.direction === 'out' && t.pendingFile).forEach(t => {
-          event.target.send(JSON.stringify({
-            type: 'file-offer',
-            id: t.id,
-            name: t.name,
-            size: t.size,
-            mimeType: t.mimeType,
-            sender: username,
-            uploadCount: t.uploadCount || 0,
-          }));
-        });
-        toast.success(`${msg.from} joined`);
-      } else if (msg.type === 'identify_ack') {
-        // Add peer to connected list
-        setConnectedPeers(prev => prev.includes(msg.from) ? prev : [...prev, msg.from]);
-        setConnectionStatus('connected');
-        // Send available files to host
-        transfersRef.current.filter(t => t.direction === 'out' && t.pendingFile).forEach(t => {
-          event.target.send(JSON.stringify({
-            type: 'file-offer',
-            id: t.id,
-            name: t.name,
-            size: t.size,
-            mimeType: t.mimeType,
-            sender: username,
-            uploadCount: t.uploadCount || 0,
-          }));
-        });
-      } else if (msg.type === 'file-offer') {
-        // Show file as available - can be downloaded on demand
-        // Check for duplicate by ID before adding
-        setTransfers(prev => {
-          const existing = prev.find(t => t.id === msg.id);
-          if (existing) {
-            // Update existing file with latest info (e.g., uploadCount)
-            return prev.map(t => t.id === msg.id ? {
-              ...t,
-              uploadCount: msg.uploadCount || t.uploadCount,
-            } : t);
-          }
-          // Add new file
-          return [...prev, {
-            id: msg.id,
-            name: msg.name,
-            size: msg.size,
-            mimeType: msg.mimeType,
-            progress: 0,
-            direction: 'in',
-            status: 'available',
-            sender: msg.sender,
-            uploadCount: msg.uploadCount || 0,
-            // Store the data channel for requesting from correct peer
-            _sourceChannel: event.target,
-          }];
-        });
-      } else if (msg.type === 'file-request') {
-        // Peer requested a file, start sending it
-        // Use event.target (the requesting peer's channel) to send data
-        const transfer = transfersRef.current.find(t => t.id === msg.id);
-        if (transfer && transfer.pendingFile) {
-          sendFileData(msg.id, transfer.pendingFile, event.target);
-        }
-      } else if (msg.type === 'file-start') {
-        // Peer is starting to send accepted file
-        const totalChunks = Math.ceil(msg.size / CHUNK_SIZE);
-        incomingFilesRef.current[msg.id] = {
-          name: msg.name,
-          size: msg.size,
-          mimeType: msg.mimeType,
-          totalChunks,
-          receivedChunks: 0,
-          chunks: new Array(totalChunks),
-        };
-        setTransfers(prev => prev.map(t =>
-          t.id === msg.id ? { ...t, status: 'transferring' } : t
-        ));
-      } else if (msg.type === 'file-decline') {
-        // Peer declined our file offer
-        setTransfers(prev => prev.map(t =>
-          t.id === msg.id ? { ...t, status: 'declined' } : t
-        ));
-        toast.error(`File declined: ${msg.name}`);
-      } else if (msg.type === 'chat') {
-        // Incoming chat message
-        setChatMessages(prev => [...prev, {
-          from: msg.from,
-          text: msg.text,
-          timestamp: msg.timestamp,
-          isYou: false,
-        }]);
-      } else if (msg.type === 'chat-history') {
-        // Received chat history from host
-        setChatMessages(msg.messages.map(m => ({
-          ...m,
-          isYou: m.from === username,
-        })));
-      } else if (msg.type === 'upload-count') {
-        // Update upload count for a file
-        setTransfers(prev => prev.map(t =>
-          t.id === msg.id ? { ...t, uploadCount: msg.count } : t
-        ));
-      }
-    } catch (err) {
-      console.error('Failed to parse message:', err);
-    }
-  }, [username]);
-
-  // Setup data channel handlers
-  const setupDataChannel = useCallback((dc) => {
-    dc.binaryType = 'arraybuffer';
-
-    const handleOpen = () => {
-      console.log('Data channel opened');
-      setDataChannel(dc);
-      dataChannelRef.current = dc; // Set ref immediately
-      allChannelsRef.current.add(dc); // Track for broadcasting
-      // Don't send identify here - wait for password check from peer
-      // The password protocol will trigger identify exchange after verification
-    };
+  // Host: waiting room and roster actions
+  const admitPeer = (request) => sessionRef.current.admit(request);
 
-    dc.onopen = handleOpen;
+  const denyPeer = (request) => sessionRef.current.deny(request);
 
-    dc.onclose = () => {
-      console.log('Data channel closed');
-      allChannelsRef.current.delete(dc); // Remove from tracking
-      // Update dataChannelRef if this was the current one
-      if (dataChannelRef.current === dc) {
-        const remaining = Array.from(allChannelsRef.current);
-        dataChannelRef.current = remaining.length > 0 ? remaining[0] : null;
-        setDataChannel(dataChannelRef.current);
-      }
-      // Decrement peer count (we don't know which peer, so just remove one)
-      setConnectedPeers(prev => prev.slice(0, -1));
-      if (allChannelsRef.current.size === 0) {
-        setConnectionStatus('waiting');
-      }
-    };
+  // Host: remove an admitted peer, optionally refusing its username from now on
+  const kickPeer = (peer, ban = false) => sessionRef.current.kick(peer, ban);
 
-    dc.onmessage = handleMessage;
+  const unbanUser = (name) => sessionRef.current.unban(name);
 
-    // If data channel is already open, trigger handler immediately
-    if (dc.readyState === 'open') {
-      console.log('Data channel already open, triggering handler');
-      handleOpen();
-    }
-  }, [username, handleMessage]);
+  // Publish offers under the session tag and take the peers that answer them
+  const publishSession = async (client, code) => {
+    // Listen for connections
+    client.on('connection:opened', (offerId, connection) => {
+      console.log('Connection opened:', offerId);
+      const dc = connection.getDataChannel();
+      const pc = connection.getPeerConnection();
+
+      setPeerConnection(pc);
+
+      if (dc) {
+        sessionRef.current?.addChannel(dc, { peerConnection: pc });
+      }
+    });
+
+    // Create and start offers with session tag (auto-starts)
+    // maxOffers: 5 allows multiple peers to connect
+    await client.offer({
+      tags: [codeToTag(code)],
+      maxOffers: 5,
+    });
+  };
 
   // Start session as host
   const handleStartSession = async () => {
@@ -523,58 +523,31 @@ export default function App() {
       const client = await ensureConnected();
 
       const code = generateCode();
-      const tag = codeToTag(code);
 
+      startSession({ username: client.getName(), code, host: true });
       setSessionCode(code);
       setIsHost(true);
       setConnectionStatus('waiting');
 
-      // Listen for connections
-      client.on('connection:opened', (offerId, connection) => {
-        console.log('Connection opened:', offerId);
-        const dc = connection.getDataChannel();
-        const pc = connection.getPeerConnection();
-
-        setPeerConnection(pc);
-
-        if (dc) {
-          setupDataChannel(dc);
-        }
-      });
-
-      // Create and start offers with session tag (auto-starts)
-      // maxOffers: 5 allows multiple peers to connect
-      await client.offer({
-        tags: [tag],
-        maxOffers: 5,
-      });
+      await publishSession(client, code);
     } catch (err) {
       console.error('Failed to start session:', err);
       toast.error(`Failed to start session: ${err.message}`);
+      sessionRef.current = null;
       setSessionCode(null);
       setIsHost(false);
       setConnectionStatus('disconnected');
     }
   };
 
-  // Join session as guest
-  const handleJoinSession = async () => {
-    if (!joinInput) return;
-
+  // Guest: connect to whoever publishes offers for the session code.
+  // onFail is called instead of ending the session when no host could be reached (host migration).
+  const connectToHost = async (client, code, onFail) => {
     try {
-      const client = await ensureConnected();
-
-      const code = joinInput.toUpperCase().trim();
-      const tag = codeToTag(code);
-
-      setSessionCode(code);
-      setIsHost(false);
-      setConnectionStatus('connecting');
-      // Sync URL immediately
-      window.history.replaceState({}, '', `/${code}`);
       setConnectionStage('signaling');
 
-      const peer = await client.peer({ tags: [tag] });
+      const peer = await client.peer({ tags: [codeToTag(code)] });
+      let opened = false;
 
       // Track connection stages
       peer.on('state', (state) => {
@@ -584,25 +557,29 @@ export default function App() {
 
       peer.on('open', () => {
         console.log('Peer connected');
+        opened = true;
         setPeerConnection(peer.peerConnection);
-        setDataChannel(peer.dataChannel);
-        dataChannelRef.current = peer.dataChannel; // Set ref immediately
-        allChannelsRef.current.add(peer.dataChannel); // Add to broadcast set
-        peer.dataChannel.binaryType = 'arraybuffer';
-
-        // Send password check first (empty password to check if required)
-        peer.send(JSON.stringify({ type: 'password-check', password: '' }));
+        // The peer forwards the channel's messages and close itself (it may swap channels on reconnect)
+        sessionRef.current?.join(peer.dataChannel, { peerConnection: peer.peerConnection, listen: false });
       });
 
-      peer.on('message', (data) => handleMessage({ data, target: peer.dataChannel }));
+      peer.on('message', (data) => sessionRef.current?.receive(peer.dataChannel, data));
 
       peer.on('close', () => {
-        allChannelsRef.current.delete(peer.dataChannel); // Remove from broadcast set
+        const session = sessionRef.current; // Gone when we left the session
+        session?.channelClosed(peer.dataChannel);
+        if (!opened && onFail) {
+          onFail();
+          return;
+        }
+        // The host went away (we didn't close the channel ourselves) - hand the session over
+        if (session && !session.isClosing(peer.dataChannel) && session.succession.length > 0) {
+          toast('The host left, moving the session to a new host');
+          migrateHost(client, code, session.succession);
+          return;
+        }
         setConnectionStatus('disconnected');
         setConnectionStage('');
-        setConnectedPeers([]);
-        setDataChannel(null);
-        dataChannelRef.current = null;
         toast.error('Connection closed');
       });
 
@@ -611,6 +588,11 @@ export default function App() {
         toast.error(`Connection error: ${err.message}`);
       });
     } catch (err) {
+      if (onFail) {
+        console.warn('No host reachable yet:', err);
+        onFail();
+        return;
+      }
       console.error('Failed to join session:', err);
       // If no peers found, session doesn't exist - return to home silently
       if (err.message?.includes('No peers found')) {
@@ -625,6 +607,96 @@ export default function App() {
     }
   };
 
+  // Join session as guest, with the typed code or one given directly (e.g. scanned)
+  const handleJoinSession = async (codeToJoin) => {
+    const input = typeof codeToJoin === 'string' ? codeToJoin : joinInput;
+    if (!input) return;
+
+    try {
+      const client = await ensureConnected();
+
+      const code = input.toUpperCase().trim();
+
+      // A host picking its session back up already restored one
+      if (sessionRef.current?.code !== code) {
+        startSession({ username: client.getName(), code });
+      }
+      setSessionCode(code);
+      setIsHost(false);
+      setConnectionStatus('connecting');
+      // Sync URL immediately
+      window.history.replaceState({}, '', `/${code}`);
+
+      await connectToHost(client, code);
+    } catch (err) {
+      console.error('Failed to join session:', err);
+      toast.error(`Failed to join: ${err.message}`);
+      setSessionCode(null);
+      setConnectionStatus('disconnected');
+      setConnectionStage('');
+    }
+  };
+
+  // Guest: the host left. Guests take over in the order the host admitted them,
+  // everyone else keeps looking for the new host's offers under the same tag.
+  const migrateHost = (client, code, candidates, attempt = 0) => {
+    const [next, ...rest] = candidates;
+    if (!next) {
+      toast.error('The host left and no one could take over');
+      setConnectionStatus('disconnected');
+      setConnectionStage('');
+      return;
+    }
+    setConnectionStatus('connecting');
+
+    if (next === username) {
+      // Someone may have taken over already - only become the host if no one answers
+      connectToHost(client, code, () => becomeHost(client, code));
+      return;
+    }
+    const retry = () => attempt + 1 < MIGRATION_ATTEMPTS
+      ? migrateHost(client, code, candidates, attempt + 1)
+      : migrateHost(client, code, rest);
+    setTimeout(() => connectToHost(client, code, retry), MIGRATION_RETRY_MS);
+  };
+
+  // Host after a refresh: our guests saw us leave and the first of them is taking over (see
+  // migrateHost). Look for its offers as long as the other guests would, and only host again
+  // when no one did - two hosts of the same code would split the session
+  const rejoinOrHost = (client, code, peers = [], attempt = 0) => {
+    const retry = () => {
+      if (sessionRef.current?.code !== code) return; // Left in the meantime
+      if (peers.length === 0 || attempt + 1 >= MIGRATION_ATTEMPTS) {
+        becomeHost(client, code);
+        return;
+      }
+      setTimeout(() => rejoinOrHost(client, code, peers, attempt + 1), MIGRATION_RETRY_MS);
+    };
+    return connectToHost(client, code, retry);
+  };
+
+  // Guest: take over as host of the same session, keeping files and chat
+  const becomeHost = async (client, code) => {
+    // The other guests are let in again without the waiting room, challenged with
+    // the password we joined with so the session key stays the same
+    const session = sessionRef.current;
+    session.becomeHost();
+    setPasswordKeys(session.passwordKeys);
+    setIsHost(true);
+    setConnectionStatus('waiting');
+    setConnectionStage('');
+    try {
+      await publishSession(client, code);
+      toast.success('You are now the host of this session');
+    } catch (err) {
+      console.error('Failed to take over session:', err);
+      toast.error(`Failed to take over session: ${err.message}`);
+      setSessionCode(null);
+      setIsHost(false);
+      setConnectionStatus('disconnected');
+    }
+  };
+
   // Auto-join when we have a join code from URL and username is ready
   const autoJoinTriggered = useRef(false);
   useEffect(() => {
@@ -634,7 +706,13 @@ export default function App() {
       const queryCode = new URLSearchParams(window.location.search).get('join')?.toUpperCase();
       if (pathCode === joinInput || queryCode === joinInput) {
         autoJoinTriggered.current = true;
-        handleJoinSession();
+        // A host that refreshed the page picks its own session back up
+        loadHostSession(joinInput)
+          .catch(err => {
+            console.error('Failed to load saved session:', err);
+            return null;
+          })
+          .then(saved => (saved ? restoreHostSession(saved) : handleJoinSession()));
       }
     }
   }, [username, joinInput, sessionCode, setupStep]);
@@ -646,40 +724,136 @@ export default function App() {
     }
   }, [sessionCode]);
 
-  // Warn host before leaving/refreshing (session will end)
+  // Host: the lockout ends by itself, drop the unlock button then
+  useEffect(() => {
+    if (!passwordLockedUntil) return;
+    const timer = setTimeout(() => setPasswordLockedUntil(0), passwordLockedUntil - Date.now());
+    return () => clearTimeout(timer);
+  }, [passwordLockedUntil]);
+
+  // Warn host before leaving/refreshing (a guest takes over, but files only we have are gone)
   useEffect(() => {
     if (!isHost || !sessionCode) return;
 
     const handleBeforeUnload = (e) => {
       e.preventDefault();
-      e.returnValue = 'Leaving will end your session. Are you sure?';
+      e.returnValue = roster.length > 0
+        ? 'Leaving will hand the session to another guest and stop sharing your files. Are you sure?'
+        : 'Leaving will end your session. Are you sure?';
       return e.returnValue;
     };
 
     window.addEventListener('beforeunload', handleBeforeUnload);
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
-  }, [isHost, sessionCode]);
+  }, [isHost, sessionCode, roster.length]);
+
+  // Host: keep the session in IndexedDB so a refresh can restore it
+  // (with the password's keys, which can't be read back out, instead of the password)
+  useEffect(() => {
+    if (!isHost || !sessionCode) return;
+    Promise.resolve(passwordKeys).then(keys => saveHostSession({
+      code: sessionCode,
+      passwordKeys: keys,
+      chatMessages,
+      peers: roster.map(p => p.username),
+    })).catch(err => console.error('Failed to save session:', err));
+  }, [isHost, sessionCode, passwordKeys, chatMessages, roster]);
+
+  // Host: save each shared file once, and forget the ones that are gone
+  const sharedFileKey = queuedFiles.map(f => f.id)
+    .concat(transfers.filter(t => t.direction === 'out' && t.pendingFile).map(t => t.id))
+    .join();
+  useEffect(() => {
+    if (!isHost || !sessionCode) return;
+    const shared = [
+      ...queuedFiles,
+      ...transfersRef.current
+        .filter(t => t.direction === 'out' && t.pendingFile)
+        .map(t => ({ id: t.id, file: t.pendingFile, path: t.path, handle: t.fileHandle })),
+    ];
+    const saved = savedFileIdsRef.current;
+    shared.filter(f => !saved.has(f.id)).forEach(f => {
+      saved.add(f.id);
+      saveSharedFile(sessionCode, f).catch(err => console.error('Failed to save shared file:', err));
+    });
+    // Files still waiting for access again are kept too
+    const current = new Set([...shared, ...pendingHandles].map(f => f.id));
+    [...saved].filter(id => !current.has(id)).forEach(id => {
+      saved.delete(id);
+      removeSharedFile(id).catch(err => console.error('Failed to remove shared file:', err));
+    });
+  }, [isHost, sessionCode, sharedFileKey, pendingHandles]);
+
+  // Host after a refresh: bring back the code, password keys, chat and shared files, then pick the
+  // session up again - unless a guest took it over in the meantime, then join that host instead
+  const restoreHostSession = async (saved) => {
+    try {
+      const client = await ensureConnected();
+      const { files, needPermission, lost } = await restoreSharedFiles(saved.files);
+      savedFileIdsRef.current = new Set(saved.files.map(f => f.id));
+
+      setSessionCode(saved.code);
+      setIsHost(false);
+      setConnectionStatus('connecting');
+      startSession({
+        username: client.getName(),
+        code: saved.code,
+        passwordKeys: saved.passwordKeys,
+        joinKeys: saved.passwordKeys,
+        chatMessages: saved.chatMessages,
+        succession: saved.peers, // Let the previous guests straight back in
+      });
+      setQueuedFiles(files);
+      setPendingHandles(needPermission);
+      if (lost.length > 0) {
+        toast(`${lost.length} file${lost.length !== 1 ? 's have' : ' has'} to be shared again`);
+      }
+
+      await rejoinOrHost(client, saved.code, saved.peers);
+    } catch (err) {
+      console.error('Failed to restore session:', err);
+      toast.error(`Failed to restore session: ${err.message}`);
+      sessionRef.current = null;
+      setSessionCode(null);
+      setConnectionStatus('disconnected');
+    }
+  };
+
+  // Files restored from a handle need read access again, which takes a click
+  const handleRestoreAccess = async () => {
+    const entries = await requestFileAccess(pendingHandles);
+    setPendingHandles([]);
+    shareFiles(entries);
+  };
 
   // Leave session
   const handleLeaveSession = () => {
     try {
-      // Close all data channels
-      allChannelsRef.current.forEach(dc => dc.close());
+      // Close all data channels and stop running downloads
+      sessionRef.current?.leave();
+      sessionRef.current = null;
       peerConnection?.close();
       rondevu?.stopFilling();
     } catch (err) {
       console.error('Error leaving session:', err);
     }
 
+    if (isHost) {
+      clearHostSession(sessionCode).catch(err => console.error('Failed to clear saved session:', err));
+    }
+    savedFileIdsRef.current = new Set();
+    setPendingHandles([]);
+    setQueuedFiles([]);
+
     setSessionCode(null);
     setIsHost(false);
     setConnectionStatus('disconnected');
-    setConnectedPeers([]);
-    setDataChannel(null);
+    setRoster([]);
+    setJoinRequests([]);
+    setBannedUsers([]);
     setPeerConnection(null);
     setTransfers([]);
-    incomingFilesRef.current = {};
-    allChannelsRef.current.clear();
+    setPreviewId(null);
     // Clear URL
     window.history.replaceState({}, '', '/');
     toast.success('Left session');
@@ -692,22 +866,18 @@ export default function App() {
 
   // Submit password (peer entering password for protected session)
   const handlePasswordSubmit = () => {
-    if (pendingPasswordChannel && pendingPasswordChannel.readyState === 'open') {
-      pendingPasswordChannel.send(JSON.stringify({ type: 'password-check', password: passwordInput }));
+    if (sessionRef.current?.submitPassword(passwordInput)) {
       setShowPasswordModal(false);
       setPasswordInput('');
-      setPendingPasswordChannel(null);
     }
   };
 
   // Cancel password entry (peer canceling join)
   const handlePasswordCancel = () => {
-    if (pendingPasswordChannel) {
-      pendingPasswordChannel.close();
-    }
+    sessionRef.current?.leave();
+    sessionRef.current = null;
     setShowPasswordModal(false);
     setPasswordInput('');
-    setPendingPasswordChannel(null);
     setSessionCode(null);
     setConnectionStatus('disconnected');
     window.history.replaceState({}, '', '/');
@@ -717,7 +887,8 @@ export default function App() {
   const handleSetPassword = () => {
     const password = prompt('Set session password (leave empty to remove):');
     if (password !== null) {
-      setSessionPassword(password);
+      sessionRef.current?.setPassword(password);
+      setPasswordKeys(sessionRef.current?.passwordKeys ?? null);
       if (password) {
         toast.success('Password set');
       } else {
@@ -726,250 +897,287 @@ export default function App() {
     }
   };
 
-  // Send file offer (file is available for peer to download on demand)
-  const sendFile = async (file) => {
-    // Check if any channel is open
-    const openChannels = Array.from(allChannelsRef.current).filter(dc => dc.readyState === 'open');
+  // Host: let locked out peers try the password again before their lockout ends
+  const handleUnlockPassword = () => {
+    sessionRef.current?.unlockPassword();
+    toast.success('Locked out peers can try again');
+  };
 
-    if (openChannels.length === 0) {
+  // Send file offer (file is available for peer to download on demand)
+  // path is the file's relative path when it is part of a shared folder
+  // id and handle come along when restoring a session, so the file keeps its id
+  const sendFile = async (file, path = null, { id, handle } = {}) => {
+    const session = sessionRef.current;
+    if (!session?.hasOpenChannels()) {
       // Queue file if host is waiting for peer
       if (isHost && connectionStatus === 'waiting') {
-        setQueuedFiles(prev => [...prev, file]);
-        toast.success(`Queued: ${file.name}`);
+        setQueuedFiles(prev => [...prev, { id: id || crypto.randomUUID(), file, path, handle }]);
+        toast.success(`Queued: ${path || file.name}`);
         return;
       }
       toast.error('Not connected');
       return;
     }
 
-    const fileId = crypto.randomUUID();
-
-    // Create transfer object with the file stored for on-demand transfer
-    const newTransfer = {
-      id: fileId,
-      name: file.name,
-      size: file.size,
-      mimeType: file.type,
-      progress: 0,
-      direction: 'out',
-      status: 'available',
-      pendingFile: file,
-      sender: username, // Track who shared this file
-      uploadCount: 0, // Track how many times this file has been uploaded
-    };
-
-    // Update ref immediately so file-request handler can access it
-    transfersRef.current = [...transfersRef.current, newTransfer];
+    const { id: fileId } = session.shareFile(file, { path, id, handle });
 
-    // Also update state for React re-render
-    setTransfers(prev => [...prev, newTransfer]);
+    // The preview follows the offer, so making it doesn't hold up sharing
+    createPreview(file).then(preview => {
+      if (preview) session.setPreview(fileId, preview);
+    }).catch(err => console.error(`Failed to create a preview of ${file.name}:`, err));
 
-    // Broadcast file-offer to all connected peers
-    const offerMsg = JSON.stringify({
-      type: 'file-offer',
-      id: fileId,
-      name: file.name,
-      size: file.size,
-      mimeType: file.type,
-      sender: username,
-    });
-    openChannels.forEach(dc => dc.send(offerMsg));
+    // Folders are announced once instead of per file
+    if (!path) {
+      toast.success(`Shared: ${file.name}`);
+    }
+  };
 
-    toast.success(`Shared: ${file.name}`);
+  // Share a list of { file, path } entries, announcing each folder once
+  const shareFiles = (entries) => {
+    entries.forEach(({ file, path, id, handle }) => sendFile(file, path, { id, handle }));
+    const folders = new Set(entries.filter(e => e.path).map(e => e.path.split('/')[0]));
+    folders.forEach(folder => toast.success(`Shared folder: ${folder}`));
   };
 
-  // Actually send file data (called after peer accepts)
-  // targetChannel is the specific peer's channel that requested the file
-  const sendFileData = async (fileId, file, targetChannel) => {
-    const dc = targetChannel || dataChannelRef.current;
-    if (!dc || dc.readyState !== 'open') {
-      toast.error('Not connected');
-      return;
+  // Handle file drop (folders keep their structure)
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+
+    try {
+      shareFiles(await collectDroppedFiles(e.dataTransfer));
+    } catch (err) {
+      console.error('Failed to read dropped files:', err);
+      toast.error('Failed to read dropped files');
     }
+  };
 
-    const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-
-    // Update status to transferring (keep pendingFile so file can be re-sent to other peers)
-    setTransfers(prev => prev.map(t =>
-      t.id === fileId ? { ...t, status: 'transferring' } : t
-    ));
-
-    // Send file-start message so receiver prepares to receive chunks
-    dc.send(JSON.stringify({
-      type: 'file-start',
-      id: fileId,
-      name: file.name,
-      size: file.size,
-      mimeType: file.type,
-    }));
-
-    // Send chunks
-    const reader = file.stream().getReader();
-    let chunkIndex = 0;
-    let buffer = new Uint8Array(0);
-
-    const sendChunk = async () => {
-      while (true) {
-        // Fill buffer if needed
-        while (buffer.length < CHUNK_SIZE) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          const newBuffer = new Uint8Array(buffer.length + value.length);
-          newBuffer.set(buffer);
-          newBuffer.set(value, buffer.length);
-          buffer = newBuffer;
-        }
+  // Handle file and folder inputs
+  const handleFileSelect = (e) => {
+    shareFiles(collectSelectedFiles(e.target.files));
+    e.target.value = '';
+  };
 
-        if (buffer.length === 0) break;
+  // Ask the peers that have a file to send it, its data goes to the given sink
+  const requestFile = (transfer, sink) => sessionRef.current.download(transfer.id, sink);
 
-        // Extract chunk
-        const chunkData = buffer.slice(0, CHUNK_SIZE);
-        buffer = buffer.slice(CHUNK_SIZE);
+  // Download files into one ZIP archive, built while the files arrive
+  // Files are requested one at a time since ZIP entries are written in sequence
+  const handleDownloadZip = async (files, archiveName) => {
+    if (files.length === 0) return;
 
-        // Create message: fileId (36) + chunkIndex (4) + data
-        const encoder = new TextEncoder();
-        const idBytes = encoder.encode(fileId);
-        const message = new ArrayBuffer(40 + chunkData.length);
-        const view = new DataView(message);
+    let archive;
+    try {
+      archive = await createFileSink({
+        name: archiveName,
+        size: files.reduce((sum, t) => sum + t.size, 0),
+        mimeType: 'application/zip',
+        sizeIsExact: false,
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Failed to prepare download:', err);
+        toast.error(`Can't save ${archiveName}`);
+      }
+      return;
+    }
 
-        // Write file ID
-        new Uint8Array(message, 0, 36).set(idBytes);
-        // Write chunk index
-        view.setUint32(36, chunkIndex);
-        // Write chunk data
-        new Uint8Array(message, 40).set(chunkData);
+    const session = sessionRef.current;
+    const ids = new Set(files.map(t => t.id));
+    ids.forEach(id => session.updateTransfer(id, { status: 'queued' }));
 
-        // Wait for buffer to drain if needed
-        while (dc.bufferedAmount > 1024 * 1024) {
-          await new Promise(r => setTimeout(r, 10));
+    const zip = createZipWriter(archive);
+    const usedNames = new Set();
+    try {
+      for (const transfer of files) {
+        // Loose files from different peers can share a name. Names come from the peers,
+        // entries must not point outside the folder the archive is extracted to
+        const entryName = safeRelativePath(transfer.path || transfer.name) || 'download';
+        let name = entryName;
+        for (let n = 2; usedNames.has(name); n++) {
+          name = entryName.replace(/(\.[^./]*)?$/, ` (${n})$1`);
         }
-
-        dc.send(message);
-        chunkIndex++;
-
-        // Update progress with bytes uploaded
-        const progress = Math.round((chunkIndex / totalChunks) * 100);
-        const uploadedBytes = Math.min(chunkIndex * CHUNK_SIZE, file.size);
-        setTransfers(prev => prev.map(t =>
-          t.id === fileId ? { ...t, progress, uploadedBytes } : t
-        ));
-      }
-
-      // Mark complete and increment upload count
-      setTransfers(prev => {
-        const updated = prev.map(t => {
-          if (t.id === fileId) {
-            const newCount = (t.uploadCount || 0) + 1;
-            // Broadcast count to all peers
-            const countMsg = JSON.stringify({ type: 'upload-count', id: fileId, count: newCount });
-            allChannelsRef.current.forEach(channel => {
-              if (channel.readyState === 'open') {
-                channel.send(countMsg);
-              }
-            });
-            return { ...t, progress: 100, status: 'complete', uploadCount: newCount };
+        usedNames.add(name);
+
+        // Wait for this entry to be complete before requesting the next file
+        const entry = zip.addFile(name, transfer.size);
+        await new Promise((resolve, reject) => {
+          const sink = {
+            ...entry,
+            close: async () => {
+              const result = await entry.close();
+              resolve();
+              return result;
+            },
+            abort: async () => {
+              await entry.abort();
+              reject(new Error(`${transfer.name} could not be received`));
+            },
+          };
+          if (!requestFile(transfer, sink)) {
+            reject(new Error('Peer disconnected'));
           }
-          return t;
         });
-        return updated;
-      });
-    };
+        ids.delete(transfer.id);
+      }
 
-    try {
-      await sendChunk();
+      const blob = await zip.close();
+      if (blob) saveBlob(blob, archiveName);
+      toast.success(`Saved ${archiveName}`);
     } catch (err) {
-      console.error('Error sending file:', err);
-      setTransfers(prev => prev.map(t =>
-        t.id === fileId ? { ...t, status: 'error' } : t
-      ));
-      toast.error(`Failed to send ${file.name}`);
+      console.error('Failed to build archive:', err);
+      toast.error(`${archiveName}: ${err.message}`);
+      zip.abort().catch(console.error);
+      // Files that never got their turn can be downloaded again
+      ids.forEach(id => session.updateTransfer(id, t => (t.status === 'queued' ? { status: 'available' } : {})));
     }
   };
 
-  // Handle file drop
-  const handleDrop = (e) => {
-    e.preventDefault();
-    setIsDragOver(false);
+  // Incoming files not downloaded yet, from a mix of file and folder rows
+  const getDownloadableFiles = (rows) => rows
+    .flatMap(row => (row.isFolder ? row.files : [row]))
+    .filter(t => t.direction === 'in' && t.status === 'available');
 
-    const files = Array.from(e.dataTransfer.files);
-    files.forEach(sendFile);
+  const handleDownloadAll = () => {
+    handleDownloadZip(getDownloadableFiles(fileRows), `ronde.vu-${sessionCode}.zip`);
   };
 
-  // Handle file input
-  const handleFileSelect = (e) => {
-    const files = Array.from(e.target.files);
-    files.forEach(sendFile);
-    e.target.value = '';
+  const handleDownloadSelected = () => {
+    handleDownloadZip(getDownloadableFiles(selectedRows), `ronde.vu-${sessionCode}.zip`);
+    setClearSelection(prev => !prev);
+  };
+
+  // Download every file of a shared folder as one unit: into a picked folder
+  // where the browser allows it, otherwise as a ZIP archive
+  const handleDownloadFolder = async (folder) => {
+    const files = folder.files.filter(t => t.direction === 'in' && t.status === 'available');
+    if (files.length === 0) return;
+
+    let root;
+    try {
+      root = await pickDirectory();
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Failed to pick folder:', err);
+        toast.error(`Can't save ${folder.name}`);
+      }
+      return;
+    }
+    if (!root) {
+      handleDownloadZip(files, `${folder.name}.zip`);
+      return;
+    }
+
+    for (const transfer of files) {
+      try {
+        const sink = await createDirectorySink(root, transfer.path);
+        if (!requestFile(transfer, sink)) {
+          toast.error('Peer disconnected');
+          return;
+        }
+      } catch (err) {
+        console.error('Failed to prepare download:', err);
+        toast.error(`Can't save ${transfer.path}`);
+      }
+    }
   };
 
   // Download file - request transfer if needed, or save if already received
-  const handleDownload = (transfer) => {
+  const handleDownload = async (transfer) => {
     // If file already received, save it
     if (transfer.blob) {
-      const url = URL.createObjectURL(transfer.blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = transfer.name;
-      a.click();
-      URL.revokeObjectURL(url);
+      saveBlob(transfer.blob, transfer.name);
       return;
     }
 
     // If incoming file not yet transferred, request it
     if (transfer.direction === 'in' && transfer.status === 'available') {
-      // Use the source channel stored when we received the offer
-      const dc = transfer._sourceChannel || dataChannelRef.current;
-      if (!dc || dc.readyState !== 'open') {
+      // Only ask for a save location when a peer that has the file is connected
+      if (sessionRef.current.getOpenSources(transfer.id).length === 0) {
         toast.error('Peer disconnected');
         return;
       }
 
+      // Pick where the file goes first - large files stream to disk,
+      // and the save dialog needs to open from this click
+      let sink;
+      try {
+        sink = await createFileSink(transfer);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to prepare download:', err);
+          toast.error(`Can't save ${transfer.name}`);
+        }
+        return;
+      }
+
       // Request the file from sender
-      dc.send(JSON.stringify({
-        type: 'file-request',
-        id: transfer.id,
-      }));
-
-      // Update status to show we're waiting for transfer
-      setTransfers(prev => prev.map(t =>
-        t.id === transfer.id ? { ...t, status: 'requesting' } : t
-      ));
+      if (!requestFile(transfer, sink)) {
+        toast.error('Peer disconnected');
+      }
     }
   };
 
-  // Remove file from the list
-  const handleRemoveFile = (transfer) => {
-    setTransfers(prev => prev.filter(t => t.id !== transfer.id));
+  // Open a file in the preview. A file nobody downloaded yet is fetched into memory
+  // when it is small enough, it can be saved from there afterwards
+  const handlePreview = (transfer) => {
+    setPreviewId(transfer.id);
+    if (transfer.direction !== 'in' || transfer.status !== 'available' || transfer.size > PREVIEW_DOWNLOAD_LIMIT) return;
+    if (!requestFile(transfer, createMemorySink(transfer.mimeType))) {
+      toast.error('Peer disconnected');
+    }
   };
 
-  // Send chat message
-  const sendChat = (text) => {
-    if (!text.trim()) return;
-
-    const message = {
-      from: isHost ? 'host' : username,
-      text: text.trim(),
-      timestamp: Date.now(),
-      isYou: true,
-    };
+  // Receiver: stop a download but keep what arrived, resuming asks for the rest
+  const handlePauseDownload = (transfer) => sessionRef.current.pauseDownload(transfer.id);
 
-    // Add to local state
-    setChatMessages(prev => [...prev, message]);
+  const handleResumeDownload = (transfer) => {
+    if (!sessionRef.current.resumeDownload(transfer.id)) {
+      toast.error('Peer disconnected');
+    }
+  };
 
-    // Broadcast to all connected peers
-    const chatMsg = JSON.stringify({
-      type: 'chat',
-      from: message.from,
-      text: message.text,
-      timestamp: message.timestamp,
-    });
-    allChannelsRef.current.forEach(dc => {
-      if (dc.readyState === 'open') {
-        dc.send(chatMsg);
-      }
-    });
+  // Receiver: stop a download and throw away what arrived
+  const handleCancelDownload = (transfer) => sessionRef.current.cancelDownload(transfer.id);
+
+  // Receiver: download a corrupt or failed file again (from this click, for the save dialog)
+  const handleRetryDownload = (transfer) => {
+    handleDownload({ ...transfer, status: 'available' });
   };
 
+  // Sender: stop sending one of our files to everyone, receivers keep what they have
+  const handlePauseUpload = (transfer) => sessionRef.current.pauseUpload(transfer.id);
+
+  // Sender: offering the file again makes waiting receivers ask for the rest
+  const handleResumeUpload = (transfer) => sessionRef.current.resumeUpload(transfer.id);
+
+  // Sender: stop sending one of our files, receivers drop what they have
+  const handleCancelUpload = (transfer) => sessionRef.current.cancelUpload(transfer.id);
+
+  // Sender: move an upload ahead of (direction 1) or behind (-1) the next one in line
+  const handleMoveUpload = (transfer, direction) => sessionRef.current.moveUpload(transfer.id, direction);
+
+  // Sender: a failed send is hashed again and offered again
+  const handleRetryUpload = (transfer) => sessionRef.current.retryUpload(transfer.id);
+
+  // Remove file from the list
+  const handleRemoveFile = (transfer) => sessionRef.current.removeTransfer(transfer.id);
+
+  // Send chat message
+  const sendChat = (text) => sessionRef.current?.sendChat(text);
+
+  // Chat input changed, peers see that we are typing while it has text
+  const handleChatInputChange = (value) => {
+    setChatInput(value);
+    sessionRef.current?.setTyping(value.trim().length > 0);
+  };
+
+  const reactToChat = (id, emoji) => sessionRef.current?.reactToChat(id, emoji);
+
+  const editChat = (id, text) => sessionRef.current?.editChat(id, text);
+
+  const deleteChat = (id) => sessionRef.current?.deleteChat(id);
+
   // Handle chat submit
   const handleChatSubmit = (e) => {
     e.preventDefault();
@@ -979,12 +1187,12 @@ export default function App() {
 
   // Send queued files when peer connects
   useEffect(() => {
-    if (dataChannel?.readyState === 'open' && queuedFiles.length > 0) {
+    if (connectionStatus === 'connected' && queuedFiles.length > 0) {
       const filesToSend = [...queuedFiles];
       setQueuedFiles([]);
-      filesToSend.forEach(file => sendFile(file));
+      shareFiles(filesToSend);
     }
-  }, [dataChannel?.readyState, queuedFiles.length]);
+  }, [connectionStatus, queuedFiles.length]);
 
   // Copy session code to clipboard
   const copyCode = () => {
@@ -1105,6 +1313,9 @@ export default function App() {
               className="input code-input"
               maxLength={6}
             />
+            <button onClick={() => setShowQrScanner(true)} className="button text" title="Scan a session QR code">
+              Scan QR
+            </button>
             <button
               onClick={handleJoinSession}
               className="button primary"
@@ -1114,6 +1325,17 @@ export default function App() {
             </button>
           </div>
         </div>
+
+        {showQrScanner && (
+          <QrScanner
+            onScan={(code) => {
+              setShowQrScanner(false);
+              setJoinInput(code);
+              handleJoinSession(code);
+            }}
+            onClose={() => setShowQrScanner(false)}
+          />
+        )}
       </div>
     );
   }
@@ -1129,6 +1351,7 @@ export default function App() {
       >
         <Toaster position="top-center" />
         {isDragOver && <div className="drop-overlay">Drop files to queue</div>}
+        <JoinRequests requests={joinRequests} onApprove={admitPeer} onDeny={denyPeer} />
         <input
           ref={fileInputRef}
           type="file"
@@ -1136,6 +1359,13 @@ export default function App() {
           onChange={handleFileSelect}
           style={{ display: 'none' }}
         />
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          onChange={handleFileSelect}
+          style={{ display: 'none' }}
+        />
 
         <div className="header">
           <span className="header-brand">ronde.vu</span>
@@ -1155,12 +1385,21 @@ export default function App() {
                   {sessionCode}
                 </span>
                 <button
-                  className={`lock-button ${sessionPassword ? 'locked' : ''}`}
+                  className={`lock-button ${passwordKeys ? 'locked' : ''}`}
                   onClick={handleSetPassword}
-                  title={sessionPassword ? 'Password protected (click to change)' : 'Set password'}
+                  title={passwordKeys ? 'Password protected (click to change)' : 'Set password'}
                 >
-                  {sessionPassword ? '🔒' : '🔓'}
+                  {passwordKeys ? '🔒' : '🔓'}
                 </button>
+                {passwordLockedUntil > 0 && (
+                  <button
+                    className="lock-button locked"
+                    onClick={handleUnlockPassword}
+                    title="A peer is locked out after too many wrong passwords (click to let it try again)"
+                  >
+                    ⏳
+                  </button>
+                )}
               </div>
               <span className="session-code-hint">hold for QR code</span>
             </div>
@@ -1180,9 +1419,19 @@ export default function App() {
             <div className="file-list full">
               <div className="file-list-header">
                 <span>Files{queuedFiles.length > 0 ? ` (${queuedFiles.length})` : ''}</span>
-                <button className="header-action" onClick={() => fileInputRef.current?.click()}>
-                  + Add files
-                </button>
+                <div className="header-actions">
+                  {pendingHandles.length > 0 && (
+                    <button className="header-action" onClick={handleRestoreAccess}>
+                      Re-share {pendingHandles.length} file{pendingHandles.length !== 1 ? 's' : ''}
+                    </button>
+                  )}
+                  <button className="header-action" onClick={() => folderInputRef.current?.click()}>
+                    + Add folder
+                  </button>
+                  <button className="header-action" onClick={() => fileInputRef.current?.click()}>
+                    + Add files
+                  </button>
+                </div>
               </div>
               {queuedFiles.length === 0 ? (
                 <div className="file-list-empty">
@@ -1191,10 +1440,10 @@ export default function App() {
                   <span className="empty-hint">or use the Add files button above</span>
                 </div>
               ) : (
-                queuedFiles.map((file, i) => (
+                queuedFiles.map(({ file, path }, i) => (
                   <div key={i} className="file-row">
                     <span className="file-icon">{getFileIcon(file.type)}</span>
-                    <span className="file-name">{file.name}</span>
+                    <span className="file-name">{path || file.name}</span>
                     <span className="file-size">{formatSize(file.size)}</span>
                     <span className="file-status queued">Queued</span>
                   </div>
@@ -1208,8 +1457,13 @@ export default function App() {
             <ChatPanel
               messages={chatMessages}
               input={chatInput}
-              onInputChange={setChatInput}
+              onInputChange={handleChatInputChange}
               onSubmit={handleChatSubmit}
+              ownName={sessionRef.current?.chatName()}
+              typingUsers={typingUsers}
+              onReact={reactToChat}
+              onEdit={editChat}
+              onDelete={deleteChat}
             />
           </div>
         </div>
@@ -1233,10 +1487,7 @@ export default function App() {
       peerConnection.close();
       setPeerConnection(null);
     }
-    if (dataChannel) {
-      dataChannel.close();
-      setDataChannel(null);
-    }
+    sessionRef.current?.disconnect();
 
     // Brief delay then retry connection
     toast.success(`Switching to ${ICE_PRESETS.find(p => p.value === newPreset)?.label || newPreset}`);
@@ -1308,6 +1559,9 @@ export default function App() {
     );
   }
 
+  // Encrypted when every open channel was admitted with the session password
+  const isEncrypted = sessionRef.current?.isEncrypted() ?? false;
+
   // Render connected - file sharing view
   return (
     <div
@@ -1318,6 +1572,14 @@ export default function App() {
     >
       <Toaster position="top-center" />
       {isDragOver && <div className="drop-overlay">Drop files to send</div>}
+      {isHost && <JoinRequests requests={joinRequests} onApprove={admitPeer} onDeny={denyPeer} />}
+      {previewTransfer && (
+        <FilePreview
+          transfer={previewTransfer}
+          onClose={closePreview}
+          onSave={previewTransfer.direction === 'in' && !previewTransfer.savedToDisk ? handleDownload : undefined}
+        />
+      )}
       <input
         ref={fileInputRef}
         type="file"
@@ -1325,6 +1587,13 @@ export default function App() {
         onChange={handleFileSelect}
         style={{ display: 'none' }}
       />
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        onChange={handleFileSelect}
+        style={{ display: 'none' }}
+      />
 
       <div className="header">
         <span className="header-brand">ronde.vu</span>
@@ -1334,8 +1603,22 @@ export default function App() {
           ) : connectionStage === 'disconnected' || connectionStage === 'failed' ? (
             <span className="peer-info warning">Disconnected</span>
           ) : (
-            <span className="peer-info">{connectedPeers.length} peer{connectedPeers.length !== 1 ? 's' : ''} connected</span>
+            <PeerRoster
+              peers={roster}
+              {...(isHost && {
+                banned: bannedUsers,
+                onKick: kickPeer,
+                onBan: peer => kickPeer(peer, true),
+                onUnban: unbanUser,
+              })}
+            />
           )}
+          {isEncrypted && (
+            <span className="e2e-badge" title="Chat and files are encrypted with a key derived from the session password">
+              🔐 End-to-end encrypted
+            </span>
+          )}
+          {sessionRef.current && <SessionStats stats={sessionRef.current.stats} />}
         </div>
         <button onClick={handleLeaveSession} className="button text danger">Leave</button>
       </div>
@@ -1346,9 +1629,29 @@ export default function App() {
           <div className="file-list full">
             <div className="file-list-header">
               <span>Files{transfers.length > 0 ? ` (${transfers.length})` : ''}</span>
-              <button className="header-action" onClick={() => fileInputRef.current?.click()}>
-                + Add files
-              </button>
+              <div className="header-actions">
+                {selectedRows.length > 0 && (
+                  <button className="header-action" onClick={handleDownloadSelected}>
+                    Download selected ({getDownloadableFiles(selectedRows).length})
+                  </button>
+                )}
+                {getDownloadableFiles(fileRows).length > 1 && (
+                  <button className="header-action" onClick={handleDownloadAll}>
+                    Download all
+                  </button>
+                )}
+                {pendingHandles.length > 0 && (
+                  <button className="header-action" onClick={handleRestoreAccess}>
+                    Re-share {pendingHandles.length} file{pendingHandles.length !== 1 ? 's' : ''}
+                  </button>
+                )}
+                <button className="header-action" onClick={() => folderInputRef.current?.click()}>
+                  + Add folder
+                </button>
+                <button className="header-action" onClick={() => fileInputRef.current?.click()}>
+                  + Add files
+                </button>
+              </div>
             </div>
             {transfers.length === 0 ? (
               <div className="file-list-empty">
@@ -1359,7 +1662,15 @@ export default function App() {
             ) : (
               <DataTable
                 columns={fileColumns}
-                data={transfers}
+                data={fileRows}
+                expandableRows
+                expandableRowDisabled={row => !row.isFolder}
+                expandableRowsComponent={FileTree}
+                expandableRowsComponentProps={{ renderStatus: renderFileStatus }}
+                selectableRows
+                selectableRowDisabled={row => getDownloadableFiles([row]).length === 0}
+                onSelectedRowsChange={({ selectedRows: rows }) => setSelectedRows(rows)}
+                clearSelectedRows={clearSelection}
                 theme="rondevu"
                 dense
                 noHeader
@@ -1378,8 +1689,13 @@ export default function App() {
           <ChatPanel
             messages={chatMessages}
             input={chatInput}
-            onInputChange={setChatInput}
+            onInputChange={handleChatInputChange}
             onSubmit={handleChatSubmit}
+            ownName={sessionRef.current?.chatName()}
+            typingUsers={typingUsers}
+            onReact={reactToChat}
+            onEdit={editChat}
+            onDelete={deleteChat}
           />
         </div>
       </div>
@@ -1,11 +1,63 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
+import { parseMarkdown } from '../lib/markdown';
 
-export default function ChatPanel({ messages, input, onInputChange, onSubmit }) {
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👀'];
+
+// Render parsed markdown nodes as elements (never as HTML)
+const renderNodes = (nodes) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'break': return <br key={i} />;
+    case 'code': return <code key={i} className="chat-code">{node.text}</code>;
+    case 'code-block': return <pre key={i} className="chat-code-block">{node.text}</pre>;
+    case 'bold': return <strong key={i}>{renderNodes(node.children)}</strong>;
+    case 'italic': return <em key={i}>{renderNodes(node.children)}</em>;
+    case 'strike': return <del key={i}>{renderNodes(node.children)}</del>;
+    case 'link': return (
+      <a key={i} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+        {renderNodes(node.children)}
+      </a>
+    );
+    default: return <React.Fragment key={i}>{node.text}</React.Fragment>;
+  }
+});
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const describeTyping = (names) => {
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return `${names.length} people are typing…`;
+};
+
+export default function ChatPanel({
+  messages, input, onInputChange, onSubmit, ownName, typingUsers = [], onReact, onEdit, onDelete,
+}) {
   const endRef = useRef(null);
+  const [pickerId, setPickerId] = useState(null); // Message whose reaction picker is open
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
 
   useEffect(() => {
     endRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [messages, typingUsers.length]);
+
+  const startEdit = (msg) => {
+    setEditingId(msg.id);
+    setEditText(msg.text);
+    setPickerId(null);
+  };
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    onEdit(editingId, editText);
+    setEditingId(null);
+  };
+
+  const handleReact = (id, emoji) => {
+    onReact(id, emoji);
+    setPickerId(null);
+  };
 
   return (
     <div className="chat-container">
@@ -15,11 +67,67 @@ export default function ChatPanel({ messages, input, onInputChange, onSubmit })
           <div className="chat-empty">No messages yet</div>
         )}
         {messages.map((msg, i) => (
-          <div key={i} className="chat-line">
+          <div key={msg.id || i} className={`chat-line${msg.deleted ? ' deleted' : ''}`}>
+            <span className="chat-time" title={new Date(msg.timestamp).toLocaleString()}>
+              {formatTime(msg.timestamp)}
+            </span>
             <span className="chat-sender">{msg.from}{msg.isYou ? ' (you)' : ''}:</span>
-            <span className="chat-text">{msg.text}</span>
+            {editingId === msg.id ? (
+              <form onSubmit={handleEditSubmit} className="chat-edit-form">
+                <input
+                  type="text"
+                  value={editText}
+                  onChange={(e) => setEditText(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                  className="chat-edit-input"
+                  autoFocus
+                />
+              </form>
+            ) : (
+              <span className="chat-text">
+                {msg.deleted ? <span className="chat-deleted">message deleted</span> : renderNodes(parseMarkdown(msg.text))}
+              </span>
+            )}
+            {msg.edited && !msg.deleted && (
+              <span className="chat-edited" title={`Edited ${new Date(msg.edited).toLocaleString()}`}>(edited)</span>
+            )}
+            {msg.id && !msg.deleted && editingId !== msg.id && (
+              <span className="chat-actions">
+                <button onClick={() => setPickerId(pickerId === msg.id ? null : msg.id)} title="React">☺</button>
+                {msg.isYou && (
+                  <>
+                    <button onClick={() => startEdit(msg)} title="Edit">✎</button>
+                    <button onClick={() => onDelete(msg.id)} title="Delete">🗑</button>
+                  </>
+                )}
+              </span>
+            )}
+            {pickerId === msg.id && (
+              <div className="chat-reaction-picker">
+                {QUICK_REACTIONS.map(emoji => (
+                  <button key={emoji} onClick={() => handleReact(msg.id, emoji)}>{emoji}</button>
+                ))}
+              </div>
+            )}
+            {msg.reactions?.length > 0 && (
+              <div className="chat-reactions">
+                {msg.reactions.map(reaction => (
+                  <button
+                    key={reaction.emoji}
+                    className={`chat-reaction${reaction.users.includes(ownName) ? ' mine' : ''}`}
+                    title={reaction.users.join(', ')}
+                    onClick={() => onReact(msg.id, reaction.emoji)}
+                  >
+                    {reaction.emoji} {reaction.users.length}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
         ))}
+        {typingUsers.length > 0 && (
+          <div className="chat-typing">{describeTyping(typingUsers)}</div>
+        )}
         <div ref={endRef} />
       </div>
       <form onSubmit={onSubmit} className="chat-input-form">
@@ -27,7 +135,7 @@ export default function ChatPanel({ messages, input, onInputChange, onSubmit })
           type="text"
           value={input}
           onChange={(e) => onInputChange(e.target.value)}
-          placeholder="Type a message..."
+          placeholder="Type a message... (**bold**, _italic_, `code`)"
           className="chat-input"
         />
         <button type="submit" className="chat-send">Send</button>
@@ -7,7 +7,10 @@ const STAGES = [
 ];
 
 export default function ConnectionStages({ currentStage }) {
-  const stageIndex = STAGES.findIndex(s => s.id === currentStage);
+  // Waiting for the host's approval comes after the data channel is up
+  const stageIndex = currentStage === 'admission'
+    ? STAGES.length - 1
+    : STAGES.findIndex(s => s.id === currentStage);
 
   return (
     <div className="connection-stages">
@@ -31,6 +34,7 @@ export function getStageText(stage) {
     case 'signaling': return 'Signaling...';
     case 'checking': return 'Ice skating...';
     case 'connected': return 'Connecting data channel...';
+    case 'admission': return 'Waiting for the host to let you in...';
     default: return 'Starting...';
   }
 }
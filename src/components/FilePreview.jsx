@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import { getPreviewKind, MAX_TEXT_PREVIEW } from '../lib/preview';
+import { formatSize } from '../lib/format';
+
+// Full preview of a file: image lightbox, video/audio player or text viewer.
+// Until the file's data is here it shows the thumbnail or excerpt from the offer
+export default function FilePreview({ transfer, onClose, onSave }) {
+  const data = transfer.blob || transfer.pendingFile;
+  const kind = getPreviewKind(transfer);
+  const [url, setUrl] = useState(null);
+  const [text, setText] = useState(null);
+
+  useEffect(() => {
+    if (!data) return;
+    if (kind === 'text') {
+      let cancelled = false;
+      data.slice(0, MAX_TEXT_PREVIEW).text()
+        .then(content => { if (!cancelled) setText(content); })
+        .catch(err => console.error('Failed to read file for preview:', err));
+      return () => { cancelled = true; };
+    }
+    const objectUrl = URL.createObjectURL(data);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [data, kind]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const renderContent = () => {
+    if (!data) {
+      return (
+        <>
+          {transfer.preview?.thumbnail && <img className="preview-image" src={transfer.preview.thumbnail} alt="" />}
+          {transfer.preview?.excerpt && <pre className="preview-text">{transfer.preview.excerpt}</pre>}
+          <p className="preview-loading">
+            {transfer.status === 'available' && 'Download the file to see all of it'}
+            {transfer.status === 'complete' && 'The file was saved to disk, open it from there'}
+            {!['available', 'complete'].includes(transfer.status) &&
+              `Loading preview...${transfer.status === 'transferring' ? ` ${transfer.progress}%` : ''}`}
+          </p>
+        </>
+      );
+    }
+    if (kind === 'image' && url) return <img className="preview-image" src={url} alt={transfer.name} />;
+    if (kind === 'video' && url) return <video className="preview-media" src={url} controls autoPlay />;
+    if (kind === 'audio' && url) return <audio src={url} controls autoPlay />;
+    if (kind === 'text' && text !== null) {
+      return (
+        <>
+          <pre className="preview-text">{text}</pre>
+          {data.size > MAX_TEXT_PREVIEW && (
+            <p className="preview-loading">Showing the first {formatSize(MAX_TEXT_PREVIEW)}</p>
+          )}
+        </>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal file-preview" onClick={(e) => e.stopPropagation()}>
+        <h3 title={transfer.path || transfer.name}>{transfer.name}</h3>
+        <div className="file-preview-content">{renderContent()}</div>
+        <div className="modal-buttons">
+          {onSave && <button className="button text" onClick={() => onSave(transfer)}>Save</button>}
+          <button className="button text" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
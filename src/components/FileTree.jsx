@@ -0,0 +1,35 @@
+import React from 'react';
+import { buildTree } from '../lib/folders';
+import { formatSize, getFileIcon } from '../lib/format';
+
+function TreeNode({ node, renderStatus }) {
+  return (
+    <ul className="file-tree">
+      {node.folders.map(folder => (
+        <li key={folder.name}>
+          <details open>
+            <summary className="file-tree-folder">📁 {folder.name}</summary>
+            <TreeNode node={folder} renderStatus={renderStatus} />
+          </details>
+        </li>
+      ))}
+      {node.files.map(file => (
+        <li key={file.id} className="file-tree-file">
+          <span className="file-icon">{getFileIcon(file.mimeType)}</span>
+          <span className="file-name">{file.name}</span>
+          <span className="file-size">{formatSize(file.size)}</span>
+          {renderStatus(file)}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Expanded folder row in the file table, data is the folder row
+export default function FileTree({ data, renderStatus }) {
+  return (
+    <div className="file-tree-container">
+      <TreeNode node={buildTree(data.files)} renderStatus={renderStatus} />
+    </div>
+  );
+}
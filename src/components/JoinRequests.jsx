@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Host waiting room: peers that passed the password check and asked to join
+export default function JoinRequests({ requests, onApprove, onDeny }) {
+  if (requests.length === 0) return null;
+
+  return (
+    <div className="join-requests">
+      {requests.map(request => (
+        <div key={`${request.username}-${request.requestedAt}`} className="join-request">
+          <span className="join-request-name">{request.username} wants to join</span>
+          <div className="join-request-actions">
+            <button className="button text" onClick={() => onDeny(request)}>Deny</button>
+            <button className="button primary" onClick={() => onApprove(request)}>Let in</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+
+// Selected ICE candidate pair of a peer connection: direct or relayed, protocol and round trip time
+async function getConnectionDetails(pc) {
+  const stats = await pc.getStats();
+  let pair = null;
+  stats.forEach(report => {
+    if (report.type === 'transport' && report.selectedCandidatePairId) {
+      pair = stats.get(report.selectedCandidatePairId);
+    }
+  });
+  // Firefox has no transport stats, fall back to the nominated pair
+  if (!pair) {
+    stats.forEach(report => {
+      if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') pair = report;
+    });
+  }
+  if (!pair) return null;
+
+  const local = stats.get(pair.localCandidateId);
+  const remote = stats.get(pair.remoteCandidateId);
+  return {
+    relayed: local?.candidateType === 'relay' || remote?.candidateType === 'relay',
+    protocol: local?.protocol,
+    rtt: pair.currentRoundTripTime,
+  };
+}
+
+function formatJoinTime(joinedAt) {
+  const minutes = Math.floor((Date.now() - joinedAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(joinedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Header "N peers connected", opens a list of who is in the session.
+// The host also gets kick/ban actions and the list of banned usernames.
+export default function PeerRoster({ peers, banned = [], onKick, onBan, onUnban }) {
+  const [open, setOpen] = useState(false);
+  const [details, setDetails] = useState(new Map()); // channel -> connection details
+
+  // Refresh connection details while the list is open
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    const refresh = async () => {
+      const next = new Map();
+      await Promise.all(peers.map(async peer => {
+        if (!peer.peerConnection) return;
+        try {
+          next.set(peer.channel, await getConnectionDetails(peer.peerConnection));
+        } catch (err) {
+          console.error('Failed to read connection stats:', err);
+        }
+      }));
+      if (!cancelled) setDetails(next);
+    };
+    refresh();
+    const interval = setInterval(refresh, 2000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [open, peers]);
+
+  return (
+    <div className="peer-roster">
+      <button className="peer-info" onClick={() => setOpen(!open)} disabled={peers.length === 0 && banned.length === 0}>
+        {peers.length} peer{peers.length !== 1 ? 's' : ''} connected
+      </button>
+      {open && (peers.length > 0 || banned.length > 0) && (
+        <ul className="peer-roster-list">
+          {peers.map(peer => {
+            const info = details.get(peer.channel);
+            return (
+              <li key={`${peer.username}-${peer.joinedAt}`}>
+                <span className="peer-roster-name">{peer.username}</span>
+                <span className="peer-roster-meta">
+                  joined {formatJoinTime(peer.joinedAt)}
+                  {info && ` · ${info.relayed ? 'via TURN relay' : 'direct'}${info.protocol ? ` (${info.protocol})` : ''}`}
+                  {info?.rtt !== undefined && ` · ${Math.round(info.rtt * 1000)} ms`}
+                </span>
+                {onKick && (
+                  <span className="peer-roster-actions">
+                    <button className="button text" onClick={() => onKick(peer)}>Kick</button>
+                    <button className="button text danger" onClick={() => onBan(peer)}>Ban</button>
+                  </span>
+                )}
+              </li>
+            );
+          })}
+          {banned.map(name => (
+            <li key={`banned-${name}`} className="banned">
+              <span className="peer-roster-name">{name}</span>
+              <span className="peer-roster-meta">banned</span>
+              <span className="peer-roster-actions">
+                <button className="button text" onClick={() => onUnban(name)}>Unban</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BrowserQRCodeReader } from '@zxing/library';
+
+// Session code from a scanned QR: a session link (https://ronde.vu/ABC123 or ?join=ABC123) or a bare code
+export function parseJoinCode(text) {
+  let candidate = text.trim();
+  try {
+    const url = new URL(candidate);
+    candidate = url.searchParams.get('join') || url.pathname.split('/').filter(Boolean)[0] || '';
+  } catch (err) {
+    // Not a link, maybe the code itself
+  }
+  candidate = candidate.toUpperCase();
+  return /^[A-Z0-9]{6}$/.test(candidate) ? candidate : null;
+}
+
+// Camera QR scanner for the lobby, with a picture of a QR code as a fallback
+export default function QrScanner({ onScan, onClose }) {
+  const videoRef = useRef(null);
+  const readerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [cameraError, setCameraError] = useState(null);
+
+  useEffect(() => {
+    const reader = new BrowserQRCodeReader();
+    readerRef.current = reader;
+    reader.decodeFromConstraints({ video: { facingMode: 'environment' } }, videoRef.current, (result) => {
+      // Frames without a readable code come back without a result
+      const code = result && parseJoinCode(result.getText());
+      if (code) {
+        reader.reset();
+        onScan(code);
+      }
+    }).catch(err => {
+      console.error('Failed to start camera:', err);
+      setCameraError(err.name === 'NotAllowedError' ? 'Camera access was denied' : 'No camera available');
+    });
+    return () => reader.reset();
+  }, []);
+
+  const handleImageSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    try {
+      const result = await readerRef.current.decodeFromImageUrl(url);
+      const code = parseJoinCode(result.getText());
+      if (code) {
+        readerRef.current.reset();
+        onScan(code);
+      } else {
+        setCameraError('That QR code is not a session link');
+      }
+    } catch (err) {
+      console.error('Failed to read QR image:', err);
+      setCameraError('No QR code found in that image');
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal qr-scanner" onClick={(e) => e.stopPropagation()}>
+        <h3>Scan QR code</h3>
+        <video ref={videoRef} className="qr-scanner-video" muted playsInline />
+        {cameraError && <p className="qr-scanner-error">{cameraError}</p>}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={handleImageSelect}
+          style={{ display: 'none' }}
+        />
+        <div className="modal-buttons">
+          <button className="button text" onClick={() => fileInputRef.current?.click()}>Use a picture</button>
+          <button className="button text" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React, { useEffect, useState } from 'react';
+import { formatSize, formatRate } from '../lib/format';
+
+// Header summary of the file data sent and received in this session, with the current speeds.
+// stats is mutated as frames go out and come in, so it is read once a second
+export default function SessionStats({ stats }) {
+  const [snapshot, setSnapshot] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setSnapshot({
+      sent: stats.sent,
+      received: stats.received,
+      sendRate: stats.sentMeter.rate(),
+      receiveRate: stats.receivedMeter.rate(),
+    });
+    refresh();
+    const interval = setInterval(refresh, 1000);
+    return () => clearInterval(interval);
+  }, [stats]);
+
+  if (!snapshot || (snapshot.sent === 0 && snapshot.received === 0)) return null;
+
+  return (
+    <span className="session-stats" title="File data sent and received in this session">
+      <span>↑ {formatSize(snapshot.sent)}{snapshot.sendRate > 0 && ` (${formatRate(snapshot.sendRate)})`}</span>
+      <span>↓ {formatSize(snapshot.received)}{snapshot.receiveRate > 0 && ` (${formatRate(snapshot.receiveRate)})`}</span>
+    </span>
+  );
+}
@@ -0,0 +1,74 @@
+// Per-chunk compression of compressible files with CompressionStream
+// Peers list the codecs they can decode in identify / identify_ack, the sender picks the
+// first one of ours the receiver has. Every chunk is compressed on its own so ranges,
+// resumes and re-sent chunks work as before; a chunk that doesn't get smaller goes as is
+// (the receiver tells them apart by length, a compressed chunk is always shorter)
+
+const CODEC_PREFERENCE = ['deflate-raw', 'deflate', 'gzip'];
+
+// Codecs this browser can compress and decompress, in order of preference
+export const SUPPORTED_CODECS = CODEC_PREFERENCE.filter(codec => {
+  try {
+    new CompressionStream(codec);
+    new DecompressionStream(codec);
+    return true;
+  } catch (err) {
+    return false;
+  }
+});
+
+// Formats that are compressed already (or don't shrink) - not worth the CPU
+const COMPRESSED_TYPES = [
+  'application/zip', 'application/gzip', 'application/x-gzip', 'application/x-7z-compressed',
+  'application/x-rar-compressed', 'application/x-bzip2', 'application/x-xz', 'application/zstd',
+  'application/pdf', 'application/epub+zip', 'application/vnd.openxmlformats',
+];
+const COMPRESSED_EXTENSIONS = [
+  'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'zst', 'br', 'jpg', 'jpeg', 'png', 'gif', 'webp',
+  'avif', 'heic', 'mp4', 'mkv', 'mov', 'webm', 'mp3', 'aac', 'ogg', 'opus', 'flac', 'pdf',
+  'docx', 'xlsx', 'pptx', 'apk', 'jar', 'woff2',
+];
+const COMPRESSIBLE_TYPES = [
+  'application/json', 'application/xml', 'application/javascript', 'application/sql',
+  'application/x-ndjson', 'application/x-sh', 'application/wasm', 'image/svg+xml', 'image/bmp',
+];
+const COMPRESSIBLE_EXTENSIONS = [
+  'txt', 'md', 'csv', 'tsv', 'log', 'json', 'ndjson', 'xml', 'yml', 'yaml', 'toml', 'ini', 'html',
+  'css', 'js', 'jsx', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'c', 'h', 'cpp', 'sh', 'sql',
+  'svg', 'bmp', 'wasm', 'tar',
+];
+
+// Whether a file is worth compressing, from its MIME type and extension
+export const isCompressible = ({ type, name }) => {
+  const extension = name?.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (COMPRESSED_EXTENSIONS.includes(extension)) return false;
+  if (COMPRESSED_TYPES.some(compressed => type?.startsWith(compressed))) return false;
+  if (type?.startsWith('text/') || COMPRESSIBLE_TYPES.includes(type)) return true;
+  return COMPRESSIBLE_EXTENSIONS.includes(extension);
+};
+
+// Our preferred codec among those the receiver can decode, null if there is none
+export const pickCodec = (peerCodecs) =>
+  SUPPORTED_CODECS.find(codec => Array.isArray(peerCodecs) && peerCodecs.includes(codec)) || null;
+
+export const compressBytes = async (codec, bytes) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream(codec))).arrayBuffer());
+
+// Decompress a chunk, throws if it doesn't decode or grows past maxLength
+// (a peer can't make us inflate more than one chunk's worth)
+export const decompressBytes = async (codec, bytes, maxLength) => {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(codec)).getReader();
+  const out = new Uint8Array(maxLength);
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (length + value.length > maxLength) {
+      await reader.cancel();
+      throw new Error('Decompressed chunk is larger than expected');
+    }
+    out.set(value, length);
+    length += value.length;
+  }
+  return out.subarray(0, length);
+};
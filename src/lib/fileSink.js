@@ -0,0 +1,156 @@
+// Destinations for incoming files
+// Small files are collected in memory and saved as a Blob, large ones are
+// streamed to disk as chunks arrive so they never have to fit in RAM
+
+import { safeRelativePath } from './folders.js';
+
+const MEMORY_SINK_LIMIT = 64 * 1024 * 1024; // Larger files stream to disk when the browser can
+const DOWNLOAD_SW_URL = '/download-sw.js';
+
+// Every sink has the same shape:
+//   write(chunk)  - append the next chunk (always called in order)
+//   close()       - finish, resolves with a Blob for in-memory sinks or null when already on disk
+//   abort()       - discard what was written
+//   kind          - 'memory' | 'disk' | 'stream'
+//   getFile()     - optional, reads the saved file back (lets us re-seed it to other peers)
+
+// Trigger a browser download of a Blob
+export const saveBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+export const createMemorySink = (mimeType) => {
+  let parts = [];
+  return {
+    kind: 'memory',
+    write: (chunk) => { parts.push(chunk); },
+    close: async () => new Blob(parts, { type: mimeType }),
+    abort: async () => { parts = []; },
+  };
+};
+
+// Wrap a FileSystemWritableFileStream, writes are queued so they stay in order
+const createWritableSink = (handle, writable) => {
+  let queue = Promise.resolve();
+  return {
+    kind: 'disk',
+    getFile: () => handle.getFile(),
+    write: (chunk) => { queue = queue.then(() => writable.write(chunk)); },
+    close: async () => {
+      await queue;
+      await writable.close();
+      return null;
+    },
+    abort: async () => {
+      await queue.catch(() => {});
+      await writable.abort();
+    },
+  };
+};
+
+// File System Access API (Chromium) - needs a user gesture for the save dialog
+const createFileSystemSink = async (name) => {
+  const handle = await window.showSaveFilePicker({ suggestedName: name });
+  return createWritableSink(handle, await handle.createWritable());
+};
+
+// Ask for a folder to save a shared folder into, null if the browser can't
+// Throws an AbortError if the user cancels the dialog
+export const pickDirectory = async () => {
+  if (typeof window.showDirectoryPicker !== 'function') return null;
+  return window.showDirectoryPicker({ mode: 'readwrite' });
+};
+
+// Write a file into a picked folder, creating subfolders from its relative path
+export const createDirectorySink = async (root, path) => {
+  // The path comes from the peer, nothing it says may land outside the picked folder
+  const parts = (safeRelativePath(path) || 'download').split('/');
+  const fileName = parts.pop();
+  let dir = root;
+  for (const part of parts) {
+    dir = await dir.getDirectoryHandle(part, { create: true });
+  }
+  const handle = await dir.getFileHandle(fileName, { create: true });
+  return createWritableSink(handle, await handle.createWritable());
+};
+
+let serviceWorkerPromise = null;
+
+// Register the download service worker once, resolves null if unsupported
+const getDownloadWorker = () => {
+  if (!serviceWorkerPromise) {
+    serviceWorkerPromise = !('serviceWorker' in navigator)
+      ? Promise.resolve(null)
+      : navigator.serviceWorker.register(DOWNLOAD_SW_URL)
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => registration.active)
+        .catch(err => {
+          console.warn('Download service worker unavailable:', err);
+          return null;
+        });
+  }
+  return serviceWorkerPromise;
+};
+
+// Service worker stream - the worker answers a download URL with a stream we feed chunk by chunk
+// size is left out of the response headers when it isn't exact (e.g. for ZIP archives)
+const createServiceWorkerSink = async (worker, name, size, mimeType) => {
+  const channel = new MessageChannel();
+  const url = `/__download/${crypto.randomUUID()}/${encodeURIComponent(name)}`;
+
+  await new Promise((resolve) => {
+    channel.port1.onmessage = (e) => e.data?.type === 'ready' && resolve();
+    worker.postMessage({ type: 'download', url, name, size, mimeType }, [channel.port2]);
+  });
+
+  // Navigating a hidden iframe starts the browser download without leaving the page
+  const iframe = document.createElement('iframe');
+  iframe.hidden = true;
+  iframe.src = url;
+  document.body.appendChild(iframe);
+  const cleanup = () => setTimeout(() => iframe.remove(), 1000);
+
+  return {
+    kind: 'stream',
+    write: (chunk) => channel.port1.postMessage({ type: 'chunk', chunk }),
+    close: async () => {
+      channel.port1.postMessage({ type: 'end' });
+      cleanup();
+      return null;
+    },
+    abort: async () => {
+      channel.port1.postMessage({ type: 'abort' });
+      cleanup();
+    },
+  };
+};
+
+// Pick a sink by file size and what the browser supports
+// Pass sizeIsExact: false when size is only an estimate (it is then only used to pick the sink)
+// Throws an AbortError if the user cancels the save dialog
+export const createFileSink = async ({ name, size, mimeType, sizeIsExact = true }) => {
+  if (size <= MEMORY_SINK_LIMIT) {
+    return createMemorySink(mimeType);
+  }
+
+  if (typeof window.showSaveFilePicker === 'function') {
+    try {
+      return await createFileSystemSink(name);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.warn('File System Access failed, trying download stream:', err);
+    }
+  }
+
+  const worker = await getDownloadWorker();
+  if (worker) {
+    return createServiceWorkerSink(worker, name, sizeIsExact ? size : null, mimeType);
+  }
+
+  return createMemorySink(mimeType);
+};
@@ -0,0 +1,125 @@
+// Folder sharing helpers
+// Files inside a shared folder carry a relative path like "photos/2024/a.jpg",
+// files shared on their own have no path
+
+// Read a FileSystemEntry callback API as a promise
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+const readDirectoryBatch = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+// Collect dropped files, walking into folders and keeping their relative paths
+// Returns [{ file, path, handle }], path is null for files dropped on their own,
+// handle is their FileSystemFileHandle where the browser has one (lets a host restore them)
+export const collectDroppedFiles = async (dataTransfer) => {
+  // Entries must be taken synchronously, the DataTransfer is emptied after the drop event
+  const handles = new Map(); // top-level file entry -> promise of its handle
+  const entries = Array.from(dataTransfer.items || []).map(item => {
+    const entry = item.webkitGetAsEntry?.();
+    if (entry?.isFile) handles.set(entry, item.getAsFileSystemHandle?.().catch(() => null));
+    return entry;
+  }).filter(Boolean);
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files).map(file => ({ file, path: null }));
+  }
+
+  const results = [];
+  const walk = async (entry, prefix) => {
+    if (entry.isFile) {
+      const file = await readEntryFile(entry);
+      const handle = prefix ? null : await handles.get(entry);
+      results.push({ file, path: prefix ? `${prefix}${entry.name}` : null, handle: handle || undefined });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns batches, keep reading until one comes back empty
+      let batch;
+      do {
+        batch = await readDirectoryBatch(reader);
+        for (const child of batch) {
+          await walk(child, `${prefix}${entry.name}/`);
+        }
+      } while (batch.length > 0);
+    }
+  };
+
+  for (const entry of entries) {
+    await walk(entry, '');
+  }
+  return results;
+};
+
+// Files picked with a webkitdirectory input already know their relative path
+export const collectSelectedFiles = (fileList) => Array.from(fileList).map(file => ({
+  file,
+  path: file.webkitRelativePath || null,
+}));
+
+// A path a peer sent, made safe to create under a folder or archive of ours: no absolute
+// paths or drive letters, no "..", "." or empty parts, "/" between the parts ("" when nothing is left)
+export const safeRelativePath = (relativePath) => relativePath
+  .split(/[\\/]/)
+  .filter(part => part && part !== '.' && part !== '..' && !/^[a-z]:$/i.test(part))
+  .join('/');
+
+const getTopFolder = (path) => (path && path.includes('/') ? path.split('/')[0] : null);
+
+// Summarize the files of a folder into one status for its table row
+const getFolderStatus = (files) => {
+  if (files.every(t => t.status === 'complete')) return 'complete';
+  if (files.some(t => ['requesting', 'verifying', 'transferring', 'resuming'].includes(t.status))) return 'transferring';
+  if (files.some(t => t.status === 'paused')) return 'paused';
+  return 'available';
+};
+
+// Group transfers into table rows: loose files stay as they are,
+// files inside a folder collapse into one row per top-level folder
+export const groupTransfers = (transfers) => {
+  const rows = [];
+  const folders = new Map();
+
+  transfers.forEach(t => {
+    const top = getTopFolder(t.path);
+    if (!top) {
+      rows.push(t);
+      return;
+    }
+    // Same-named folders from different peers stay separate
+    const id = `folder:${t.direction}:${t.sender}:${top}`;
+    let folder = folders.get(id);
+    if (!folder) {
+      folder = { id, isFolder: true, name: top, direction: t.direction, sender: t.sender, files: [] };
+      folders.set(id, folder);
+      rows.push(folder);
+    }
+    folder.files.push(t);
+  });
+
+  folders.forEach(folder => {
+    folder.size = folder.files.reduce((sum, t) => sum + t.size, 0);
+    folder.status = getFolderStatus(folder.files);
+    // Progress weighted by size, so one big file isn't drowned out by many small ones
+    folder.progress = folder.size > 0
+      ? Math.round(folder.files.reduce((sum, t) => sum + (t.status === 'complete' ? 100 : t.progress || 0) * t.size, 0) / folder.size)
+      : 0;
+  });
+
+  return rows;
+};
+
+// Nest a folder's files by their path segments (below the top-level folder)
+// Returns { folders: [{ name, folders, files }], files: [transfer] }
+export const buildTree = (files) => {
+  const root = { name: '', folders: [], files: [] };
+  files.forEach(t => {
+    const parts = t.path.split('/').slice(1, -1);
+    let node = root;
+    parts.forEach(part => {
+      let child = node.folders.find(f => f.name === part);
+      if (!child) {
+        child = { name: part, folders: [], files: [] };
+        node.folders.push(child);
+      }
+      node = child;
+    });
+    node.files.push(t);
+  });
+  return root;
+};
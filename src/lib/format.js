@@ -0,0 +1,32 @@
+// Display helpers shared by the file list components
+
+// Format file size
+export const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+};
+
+// Get file icon based on MIME type
+export const getFileIcon = (mimeType) => {
+  if (!mimeType) return '📄';
+  if (mimeType.startsWith('image/')) return '🖼️';
+  if (mimeType.startsWith('video/')) return '🎬';
+  if (mimeType.startsWith('audio/')) return '🎵';
+  if (mimeType.includes('pdf')) return '📕';
+  if (mimeType.includes('zip') || mimeType.includes('tar') || mimeType.includes('rar')) return '📦';
+  if (mimeType.includes('text') || mimeType.includes('json') || mimeType.includes('xml')) return '📝';
+  return '📄';
+};
+
+// Format a transfer speed in bytes per second
+export const formatRate = (bytesPerSecond) => `${formatSize(Math.round(bytesPerSecond))}/s`;
+
+// Format a remaining time in seconds (e.g. "45s", "3m 20s", "1h 5m")
+export const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return '';
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
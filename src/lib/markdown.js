@@ -0,0 +1,102 @@
+// A small, safe subset of markdown for chat messages
+// The result is a tree of plain nodes the chat renders as elements, never as HTML, so a
+// message can't inject markup. Links only ever point to http(s) or mailto URLs.
+//
+// Nodes: { type: 'text', text }, { type: 'break' }, { type: 'code', text },
+// { type: 'code-block', text }, { type: 'bold' | 'italic' | 'strike', children },
+// { type: 'link', href, children }
+
+const CODE_BLOCK = /```(?:[^\n`]*\n)?([\s\S]*?)```/g;
+// In order of precedence at the same position: `code`, [text](url), bare URLs, **bold**,
+// ~~strike~~, *italic*, _italic_ and line breaks
+const INLINE = new RegExp([
+  '`([^`\\n]+)`',
+  '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)',
+  '(https?:\\/\\/[^\\s<]+)',
+  '\\*\\*(?=\\S)([^\\n]*?\\S)\\*\\*',
+  '~~(?=\\S)([^\\n]*?\\S)~~',
+  '\\*(?=[^\\s*])([^*\\n]*?[^\\s*])\\*',
+  '(?<!\\w)_(?=[^\\s_])([^_\\n]*?[^\\s_])_(?!\\w)',
+  '\\n',
+].join('|'), 'g');
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const TRAILING_PUNCTUATION = '.,;:!?\'"';
+
+// A bare URL doesn't end in the punctuation around it, or in a ) it didn't open
+const trimUrl = (url) => {
+  let end = url.length;
+  const count = (char, upTo) => url.slice(0, upTo).split(char).length - 1;
+  while (end > 0) {
+    const last = url[end - 1];
+    if (TRAILING_PUNCTUATION.includes(last) || (last === ')' && count(')', end) > count('(', end))) {
+      end--;
+    } else {
+      break;
+    }
+  }
+  return url.slice(0, end);
+};
+
+const parseInline = (text, { links = true } = {}) => {
+  const nodes = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') {
+      last.text += value;
+    } else {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  const pattern = new RegExp(INLINE);
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, code, linkText, href, url, bold, strike, italic, underscored] = match;
+    pushText(text.slice(position, match.index));
+    position = match.index + whole.length;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (linkText !== undefined) {
+      if (links && SAFE_URL.test(href)) {
+        nodes.push({ type: 'link', href, children: parseInline(linkText, { links: false }) });
+      } else {
+        pushText(whole);
+      }
+    } else if (url !== undefined) {
+      const trimmed = trimUrl(url);
+      position = match.index + trimmed.length;
+      pattern.lastIndex = position;
+      if (links) {
+        nodes.push({ type: 'link', href: trimmed, children: [{ type: 'text', text: trimmed }] });
+      } else {
+        pushText(trimmed);
+      }
+    } else if (bold !== undefined) {
+      nodes.push({ type: 'bold', children: parseInline(bold, { links }) });
+    } else if (strike !== undefined) {
+      nodes.push({ type: 'strike', children: parseInline(strike, { links }) });
+    } else if (italic !== undefined || underscored !== undefined) {
+      nodes.push({ type: 'italic', children: parseInline(italic ?? underscored, { links }) });
+    } else {
+      nodes.push({ type: 'break' });
+    }
+  }
+  pushText(text.slice(position));
+  return nodes;
+};
+
+// Parse a chat message into nodes
+export const parseMarkdown = (text) => {
+  const nodes = [];
+  let position = 0;
+  for (const match of text.matchAll(CODE_BLOCK)) {
+    nodes.push(...parseInline(text.slice(position, match.index)));
+    nodes.push({ type: 'code-block', text: match[1].replace(/\n$/, '') });
+    position = match.index + match[0].length;
+  }
+  nodes.push(...parseInline(text.slice(position)));
+  return nodes;
+};
@@ -0,0 +1,95 @@
+// File previews: a small thumbnail or text excerpt sent along with a file offer,
+// and what kind of full preview the file viewer can show
+
+const THUMBNAIL_SIZE = 160; // Longest side in pixels
+const THUMBNAIL_QUALITY = 0.7;
+const EXCERPT_BYTES = 1024;
+const VIDEO_FRAME_TIMEOUT_MS = 5000;
+export const MAX_THUMBNAIL_LENGTH = 48 * 1024; // Data URL characters, larger thumbnails are dropped
+export const MAX_TEXT_PREVIEW = 1024 * 1024; // The text viewer shows at most this much of a file
+
+const TEXT_TYPES = ['application/json', 'application/xml', 'application/javascript', 'application/x-sh'];
+const TEXT_EXTENSIONS = [
+  'txt', 'md', 'csv', 'log', 'json', 'xml', 'yml', 'yaml', 'toml', 'ini', 'html', 'css',
+  'js', 'jsx', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'c', 'h', 'cpp', 'sh', 'sql',
+];
+
+// 'image' | 'video' | 'audio' | 'text', or null when there is no preview for the file
+export const getPreviewKind = ({ mimeType, name }) => {
+  if (mimeType?.startsWith('image/')) return 'image';
+  if (mimeType?.startsWith('video/')) return 'video';
+  if (mimeType?.startsWith('audio/')) return 'audio';
+  if (mimeType?.startsWith('text/') || TEXT_TYPES.includes(mimeType)) return 'text';
+  const extension = name?.split('.').pop().toLowerCase();
+  return TEXT_EXTENSIONS.includes(extension) ? 'text' : null;
+};
+
+// Draw a source scaled down to THUMBNAIL_SIZE, as a JPEG data URL
+const drawThumbnail = (source, width, height) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+};
+
+const imageThumbnail = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  try {
+    return drawThumbnail(bitmap, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+};
+
+// A frame from a tenth into the video (at most 1s in, past black intro frames)
+const videoThumbnail = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  let timeout;
+  const finish = (result, err) => {
+    clearTimeout(timeout);
+    URL.revokeObjectURL(url);
+    video.removeAttribute('src');
+    if (err) reject(err);
+    else resolve(result);
+  };
+  timeout = setTimeout(() => finish(null, new Error('Timed out reading a video frame')), VIDEO_FRAME_TIMEOUT_MS);
+  video.muted = true;
+  video.preload = 'metadata';
+  video.onloadedmetadata = () => {
+    video.currentTime = Math.min(1, video.duration / 10 || 0);
+  };
+  video.onseeked = () => finish(drawThumbnail(video, video.videoWidth, video.videoHeight));
+  video.onerror = () => finish(null, new Error('Unsupported video'));
+  video.src = url;
+});
+
+// Preview attached to an offer: { thumbnail } for images and videos, { excerpt } for text,
+// null for anything else
+export const createPreview = async (file) => {
+  const kind = getPreviewKind({ mimeType: file.type, name: file.name });
+  if (kind === 'image' || kind === 'video') {
+    const thumbnail = kind === 'image' ? await imageThumbnail(file) : await videoThumbnail(file);
+    return thumbnail.length <= MAX_THUMBNAIL_LENGTH ? { thumbnail } : null;
+  }
+  if (kind === 'text') {
+    // Cut at a character boundary, the last one may have been split
+    const text = new TextDecoder().decode(await file.slice(0, EXCERPT_BYTES).arrayBuffer());
+    return { excerpt: file.size > EXCERPT_BYTES ? text.replace(/\uFFFD$/, '') : text };
+  }
+  return null;
+};
+
+// A preview received from a peer, checked before it is shown (null if it isn't valid)
+export const readPreview = ({ thumbnail, excerpt }) => {
+  if (typeof thumbnail === 'string' && thumbnail.length <= MAX_THUMBNAIL_LENGTH &&
+    /^data:image\/(jpeg|png|webp);base64,/.test(thumbnail)) {
+    return { thumbnail };
+  }
+  if (typeof excerpt === 'string') {
+    return { excerpt: excerpt.slice(0, EXCERPT_BYTES) };
+  }
+  return null;
+};
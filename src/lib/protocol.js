@@ -0,0 +1,141 @@
+// Data channel protocol: version, capabilities and the shape of every JSON message
+//
+// Peers exchange { protocol, minProtocol, capabilities } in identify / identify_ack.
+// Two peers can talk when each one's version is at least the other's minProtocol;
+// otherwise the host turns the guest away with join-denied { reason: 'protocol' } and
+// whichever side is out of date is asked to reload. Capabilities are optional features
+// within a version, a peer only gets messages for the ones it listed.
+// Binary chunk frames carry their own version byte (FRAME_VERSION in lib/session).
+
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1; // Oldest version we can still talk to
+export const CAPABILITIES = ['previews', 'compression', 'rich-chat'];
+
+// Field types: 'string', 'number', 'integer' (non-negative), 'boolean', 'string[]',
+// or [schema] for an array of objects. A trailing ? makes a field optional (may be null),
+// [schema, '?'] for arrays of objects
+const CHUNK_RANGE = { from: 'integer?', to: 'integer?' };
+const HANDSHAKE = {
+  from: 'string',
+  // Missing from clients that predate versioning, they get the update error
+  protocol: 'integer?',
+  minProtocol: 'integer?',
+  capabilities: 'string[]?',
+  codecs: 'string[]?',
+};
+// id is missing from clients without rich-chat, reactions/edited/deleted only come in chat-history
+const CHAT_MESSAGE = {
+  id: 'string?', from: 'string', text: 'string', timestamp: 'number',
+  reactions: [{ emoji: 'string', users: 'string[]' }, '?'], edited: 'number?', deleted: 'boolean?',
+};
+
+// Messages only sent to peers that listed the capability
+export const MESSAGE_CAPABILITIES = {
+  'file-preview': 'previews',
+  'chat-react': 'rich-chat',
+  'chat-edit': 'rich-chat',
+  'chat-delete': 'rich-chat',
+  'typing': 'rich-chat',
+};
+
+export const MESSAGE_SCHEMAS = {
+  // Encrypted envelope, the message inside is checked once it is decrypted
+  'sealed': { data: 'string' },
+
+  // Admission
+  'password-check': {},
+  'password-challenge': { nonce: 'string' },
+  'password-response': { response: 'string' },
+  'password-ok': {},
+  'password-fail': {},
+  'password-locked': { retryAfter: 'integer' },
+  'identify': HANDSHAKE,
+  'identify_ack': HANDSHAKE,
+  'join-denied': { reason: 'string?', protocol: 'integer?', minProtocol: 'integer?' },
+  'kicked': { reason: 'string?' },
+  'succession': { order: 'string[]', banned: 'string[]' },
+
+  // Files
+  'file-offer': {
+    id: 'string', name: 'string', size: 'integer', mimeType: 'string?', path: 'string?',
+    sender: 'string?', uploadCount: 'integer?', sha256: 'string?',
+  },
+  'file-preview': { id: 'string', thumbnail: 'string?', excerpt: 'string?' },
+  'file-request': {
+    id: 'string', ...CHUNK_RANGE, chunkSize: 'integer?', codecs: 'string[]?', requester: 'string?',
+  },
+  'chunk-request': { id: 'string', index: 'integer', chunkSize: 'integer?', codecs: 'string[]?' },
+  'file-start': {
+    id: 'string', stream: 'integer', chunkSize: 'integer?', codec: 'string?', name: 'string',
+    size: 'integer', mimeType: 'string?', sha256: 'string?', ...CHUNK_RANGE,
+  },
+  'file-cancel': { id: 'string', ...CHUNK_RANGE },
+  'file-pause': { id: 'string', ...CHUNK_RANGE },
+  'file-decline': { id: 'string', name: 'string?' },
+  'upload-count': { id: 'string', count: 'integer' },
+
+  // Chat
+  'chat': CHAT_MESSAGE,
+  'chat-history': { messages: [CHAT_MESSAGE] },
+  'chat-react': { id: 'string', from: 'string', emoji: 'string', active: 'boolean' },
+  'chat-edit': { id: 'string', from: 'string', text: 'string', edited: 'number' },
+  'chat-delete': { id: 'string', from: 'string' },
+  'typing': { from: 'string', active: 'boolean' },
+};
+
+const checkValue = (value, type) => {
+  if (Array.isArray(type)) {
+    return Array.isArray(value) && value.every(item => validateFields(item, type[0]) === null);
+  }
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value) && value >= 0;
+    case 'boolean': return typeof value === 'boolean';
+    case 'string[]': return Array.isArray(value) && value.every(item => typeof item === 'string');
+    default: return false;
+  }
+};
+
+// Name of the first field that doesn't match the schema, null if they all do
+const validateFields = (msg, schema) => {
+  if (typeof msg !== 'object' || msg === null || Array.isArray(msg)) return '(message)';
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = typeof spec === 'string' ? spec.endsWith('?') : spec[1] === '?';
+    const type = typeof spec === 'string' && optional ? spec.slice(0, -1) : spec;
+    const value = msg[field];
+    if (value === undefined || value === null) {
+      if (!optional) return field;
+    } else if (!checkValue(value, type)) {
+      return field;
+    }
+  }
+  return null;
+};
+
+// Why a parsed message is invalid, null if it matches its type's schema
+// (extra fields are allowed, newer peers may add some)
+export const validateMessage = (msg) => {
+  const schema = MESSAGE_SCHEMAS[msg?.type];
+  if (!schema) return `unknown message type ${JSON.stringify(msg?.type)}`;
+  const field = validateFields(msg, schema);
+  return field ? `${msg.type} has an invalid ${field}` : null;
+};
+
+// Whether we can talk to a peer that sent these versions in its handshake
+export const isCompatible = ({ protocol, minProtocol }) =>
+  Number.isInteger(protocol) && protocol >= MIN_PROTOCOL_VERSION && PROTOCOL_VERSION >= (minProtocol ?? protocol);
+
+// Message for the user when a peer's version doesn't work with ours: whichever side is out of date has to reload
+export const describeIncompatibility = ({ minProtocol }) => (
+  Number.isInteger(minProtocol) && PROTOCOL_VERSION < minProtocol
+    ? 'This page is out of date - please reload to update ronde.vu'
+    : 'The other side runs an older ronde.vu - they need to reload the page to update'
+);
+
+// Fields we send in identify / identify_ack
+export const handshakeFields = () => ({
+  protocol: PROTOCOL_VERSION,
+  minProtocol: MIN_PROTOCOL_VERSION,
+  capabilities: CAPABILITIES,
+});
@@ -0,0 +1,34 @@
+// Transfer speed over a sliding window, for throughput and ETA display
+
+const WINDOW_MS = 3000;
+
+export const createRateMeter = () => {
+  const samples = []; // [time, bytes], oldest first
+  let total = 0;
+
+  const prune = (now) => {
+    while (samples.length > 0 && now - samples[0][0] > WINDOW_MS) {
+      total -= samples.shift()[1];
+    }
+  };
+
+  return {
+    add: (bytes) => {
+      const now = Date.now();
+      samples.push([now, bytes]);
+      total += bytes;
+      prune(now);
+    },
+    // Bytes per second over the window (0 until there is something to measure)
+    rate: () => {
+      const now = Date.now();
+      prune(now);
+      if (samples.length === 0) return 0;
+      const elapsed = Math.max(now - samples[0][0], 1000);
+      return total / (elapsed / 1000);
+    },
+  };
+};
+
+// Seconds left for the remaining bytes at a rate, null while the rate is unknown
+export const estimateSeconds = (remaining, rate) => (rate > 0 ? Math.ceil(remaining / rate) : null);
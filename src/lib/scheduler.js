@@ -0,0 +1,86 @@
+// Sender-side scheduling of concurrent uploads over one data channel
+// Each upload hands out its frames one at a time. The scheduler sends from the uploads
+// with the highest priority, uploads of equal priority take turns frame by frame, and it
+// waits for the channel to drain in between so no upload can fill the buffer ahead of the rest
+
+const MAX_BUFFERED_AMOUNT = 4 * 1024 * 1024; // Stop sending above this
+const LOW_BUFFERED_AMOUNT = 1024 * 1024; // Carry on once the channel has drained below this
+
+// send(frame) puts a frame on the channel (may encrypt it first),
+// getPriority(upload) is read before every frame so priorities can change while sending
+export const createUploadScheduler = (dc, { send, getPriority }) => {
+  const queue = []; // { upload, next, cancel, onSent, resolve, reject }, front sends next
+  let running = false;
+
+  dc.bufferedAmountLowThreshold = LOW_BUFFERED_AMOUNT;
+
+  // Resolves on the channel's bufferedamountlow event (or when it closes)
+  const waitForDrain = () => new Promise(resolve => {
+    if (dc.bufferedAmount <= MAX_BUFFERED_AMOUNT || dc.readyState !== 'open') {
+      resolve();
+      return;
+    }
+    const done = () => {
+      dc.removeEventListener('bufferedamountlow', done);
+      dc.removeEventListener('close', done);
+      resolve();
+    };
+    dc.addEventListener('bufferedamountlow', done);
+    dc.addEventListener('close', done);
+  });
+
+  // First entry in queue order among those with the highest priority
+  const pick = () => {
+    const top = Math.max(...queue.map(entry => getPriority(entry.upload)));
+    return queue.find(entry => getPriority(entry.upload) === top);
+  };
+
+  const remove = (entry) => {
+    queue.splice(queue.indexOf(entry), 1);
+  };
+
+  const run = async () => {
+    running = true;
+    while (queue.length > 0) {
+      await waitForDrain();
+      const entry = pick();
+      if (entry.upload.stopped || dc.readyState !== 'open') {
+        remove(entry);
+        entry.cancel?.();
+        entry.resolve(false);
+        continue;
+      }
+
+      try {
+        const frame = await entry.next();
+        if (frame === null) {
+          remove(entry);
+          entry.resolve(true);
+          continue;
+        }
+        await send(frame);
+        entry.onSent?.();
+      } catch (err) {
+        remove(entry);
+        entry.cancel?.();
+        entry.reject(err);
+        continue;
+      }
+
+      // To the back of the queue, so uploads of the same priority take turns
+      remove(entry);
+      queue.push(entry);
+    }
+    running = false;
+  };
+
+  return {
+    // Send an upload's frames: next() resolves with the next frame or null when done,
+    // cancel() releases it when it is stopped early. Resolves true once every frame was
+    // sent, false when the upload was stopped or the channel closed
+    add: (upload, { next, cancel, onSent }) => new Promise((resolve, reject) => {
+      queue.push({ upload, next, cancel, onSent, resolve, reject });
+      if (!running) run();
+    }),
+  };
+};
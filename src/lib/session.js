@@ -0,0 +1,1856 @@
+// A ronde.vu session without any UI: admission (password and waiting room), the identify
+// handshake, file offers, chunked transfers (ranges from several sources, relays through
+// the host, compression, encryption) and chat, over data channels handed to it.
+//
+// The page, scripts and tests all drive it the same way: hand it channels (addChannel as
+// host, join as guest), call its methods and listen to its events with on(type, listener):
+//   'transfers'         (transfers)  the file list changed, records are replaced, never mutated
+//   'chat'              (messages)   the chat changed
+//   'typing'            (names)      who is typing a chat message right now
+//   'roster'            (peers)      admitted peers: { channel, username, joinedAt, peerConnection }
+//   'join-requests'     (requests)   host: peers waiting to be admitted
+//   'banned'            (usernames)  usernames the host refuses
+//   'password-lockout'  (until)      host: a peer can't join after wrong passwords until then, 0 once none is locked out
+//   'status'            (status)     'connected' once admitted / a peer is in, host: 'waiting' when all left
+//   'admission'         ()           guest: passed the password check, waiting for the host
+//   'password-required' ()           guest: the host wants a password, answer with submitPassword
+//   'rejected'          (reason)     guest: turned away by the host, the session is left
+//   'notice'            ({ level, message }) something to tell the user, level is info | success | error
+// Everything uses only web platform APIs, so it runs in browsers and Node alike
+
+import { Sha256, sha256, sha256File, toHex } from './sha256.js';
+import {
+  createChallenge, answerChallenge, verifyChallenge,
+  derivePasswordKeys, encryptBytes, decryptBytes, toBase64, fromBase64, ENCRYPTION_OVERHEAD,
+} from './sessionCrypto.js';
+import { createRateMeter, estimateSeconds } from './rate.js';
+import { readPreview } from './preview.js';
+import {
+  validateMessage, isCompatible, describeIncompatibility, handshakeFields, MESSAGE_CAPABILITIES,
+} from './protocol.js';
+import {
+  SUPPORTED_CODECS, isCompressible, pickCodec, compressBytes, decompressBytes,
+} from './compression.js';
+import { createUploadScheduler } from './scheduler.js';
+
+export const CHUNK_SIZE = 16 * 1024; // 16KB chunks, safe on every channel
+const MAX_CHUNK_SIZE = 128 * 1024; // Largest chunk we use when the channel allows bigger messages
+const FRAME_VERSION = 1; // First byte of every binary frame, frames of other versions are ignored
+const CHUNK_HEADER_SIZE = 39; // version (1) + stream ID (2) + chunk index (4) + chunk SHA-256 (32)
+const MAX_STREAM_ID = 0xffff; // Stream IDs are per channel and wrap around after this
+const MAX_CHUNK_RETRIES = 3; // Re-requests of a corrupted chunk before giving up
+const DIGEST_WAIT_MS = 30 * 1000; // How long a finished download waits for the sender's digest
+const COMPRESSION_SAMPLE = 1024 * 1024; // Bytes compressed before deciding whether it is worth it
+const MAX_COMPRESSED_SHARE = 0.9; // Stop compressing an upload that stays above this share of its size
+const BLOCK_SIZE = 4 * 1024 * 1024; // Bytes per range requested from one source when several have a file
+const MAX_PENDING_BYTES = 2 * BLOCK_SIZE; // Out-of-order chunks held in memory before fast sources stop getting new ranges
+const MAX_PASSWORD_ATTEMPTS = 5; // Failed password attempts before the host locks out guests
+const PASSWORD_LOCKOUT_MS = 60 * 1000; // First lockout, doubles with every further lockout
+const MAX_PASSWORD_LOCKOUT_MS = 15 * 60 * 1000; // Lockouts never get longer than this
+const PASSWORD_QUIET_MS = 30 * 60 * 1000; // Failures this long ago are forgotten
+// The only messages the host accepts from a peer it hasn't admitted yet
+const ADMISSION_MESSAGES = ['password-check', 'password-response', 'identify'];
+// Host forwards these between guests
+const RELAYED_MESSAGES = [
+  'chat', 'chat-react', 'chat-edit', 'chat-delete', 'typing', 'file-offer', 'file-preview', 'upload-count',
+];
+// On an encrypted channel these must arrive sealed
+const SEALED_MESSAGES = ['chat', 'chat-history', 'chat-react', 'chat-edit', 'chat-delete', 'typing', 'file-preview'];
+// Only a host sends these, a host ignores them from its guests
+const HOST_MESSAGES = [
+  'password-challenge', 'password-ok', 'password-fail', 'password-locked', 'identify_ack',
+  'join-denied', 'kicked', 'succession', 'chat-history',
+];
+// Sent under a name (from), which has to be the sender's own
+const CHAT_MESSAGES = ['chat', 'chat-react', 'chat-edit', 'chat-delete', 'typing'];
+const HOST_CHAT_NAME = 'host'; // Name the host chats under, no guest can join with it
+const TYPING_TIMEOUT_MS = 5000; // A peer counts as typing this long after it last said so
+const TYPING_REFRESH_MS = 3000; // While typing we say so again this often
+const MAX_REACTION_LENGTH = 16; // Reactions are a single emoji, longer ones are ignored
+
+// Build a binary chunk frame: version (1) + stream ID (2) + chunk index (4) + SHA-256 (32) + data
+// The stream ID stands for the file, the sender assigns it in file-start
+// The hash is always of the chunk itself, payload is what goes on the wire (the chunk compressed)
+const buildChunkMessage = (streamId, chunkIndex, chunkData, payload = chunkData) => {
+  const message = new ArrayBuffer(CHUNK_HEADER_SIZE + payload.length);
+  const view = new DataView(message);
+
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint16(1, streamId);
+  view.setUint32(3, chunkIndex);
+  new Uint8Array(message, 7, 32).set(sha256(chunkData));
+  new Uint8Array(message, CHUNK_HEADER_SIZE).set(payload);
+  return message;
+};
+
+// Uncompressed length of a chunk, only the last one of a file is shorter than chunkSize
+const chunkLength = (size, chunkSize, chunkIndex) => Math.min(chunkSize, size - chunkIndex * chunkSize);
+
+// file-offer message for an outgoing transfer (path is set for files inside a shared folder,
+// sha256 once the sender hashed the file)
+const buildFileOffer = (transfer) => JSON.stringify({
+  type: 'file-offer',
+  id: transfer.id,
+  name: transfer.name,
+  size: transfer.size,
+  mimeType: transfer.mimeType,
+  path: transfer.path,
+  sender: transfer.sender,
+  uploadCount: transfer.uploadCount || 0,
+  sha256: transfer.sha256,
+});
+
+// Largest chunk that fits in one message of a channel, frame header and encryption included
+// (SCTP maxMessageSize is the smaller of both ends' limits, so both sides agree on it)
+const chunkSizeFor = (maxMessageSize) => {
+  let size = CHUNK_SIZE;
+  while (size * 2 <= MAX_CHUNK_SIZE && size * 2 + CHUNK_HEADER_SIZE + ENCRYPTION_OVERHEAD <= maxMessageSize) {
+    size *= 2;
+  }
+  return size;
+};
+
+// Totals for the session summary, relayed chunks count both ways
+const createSessionStats = () => ({
+  sent: 0,
+  received: 0,
+  sentMeter: createRateMeter(),
+  receivedMeter: createRateMeter(),
+});
+
+// Receive state for a file being downloaded into a sink, in chunks of chunkSize
+const createIncomingFile = ({ name, size, mimeType, sha256: digest }, sink, chunkSize) => ({
+  name,
+  size,
+  mimeType,
+  sha256: digest,
+  chunkSize,
+  totalChunks: Math.ceil(size / chunkSize),
+  receivedChunks: 0,
+  receivedBytes: 0,
+  wireBytes: 0, // Received bytes as sent, before decompressing
+  meter: createRateMeter(), // Download speed over all sources
+  pending: new Map(), // Chunks received out of order, waiting to be written
+  writtenUpTo: 0, // Chunks hashed and written to the sink
+  nextChunk: 0, // First chunk not yet requested from any source
+  orphans: [], // Ranges whose source disconnected, to hand to another source
+  assignments: new Map(), // Source channel -> { from, to, missing } it is sending
+  waiting: false, // Sources were held back until the chunks in memory are written
+  retries: {},
+  hasher: new Sha256(),
+  sink,
+});
+
+// Host: one peer's wrong passwords since its last lockout, its lockouts so far (each one longer)
+// and when the last one ends
+const createPasswordFailures = () => ({ attempts: 0, lockouts: 0, lockedUntil: 0, lastFailedAt: 0 });
+
+const hasChunk = (incoming, index) => index < incoming.writtenUpTo || incoming.pending.has(index);
+
+// Check a received chunk against the hash the sender put in its header
+const isChunkIntact = (chunkHash, chunkData) => {
+  const actual = sha256(chunkData);
+  return actual.every((byte, i) => byte === chunkHash[i]);
+};
+
+export class Session {
+  // code salts the password keys. The host challenges guests with password (empty for an
+  // open session), a guest answers with joinPassword before asking. Instead of the passwords,
+  // passwordKeys and joinKeys can be the keys derived from them (see derivePasswordKeys).
+  // chatMessages and succession carry a session over when a host restores it after a refresh
+  constructor({
+    username, code, host = false, password = '', joinPassword = '', passwordKeys = null, joinKeys = null,
+    chatMessages = [], succession = [],
+  }) {
+    this.username = username;
+    this.code = code;
+    this.isHost = host;
+    // Keys (or the promise of them) of the passwords, null when there is none
+    this.passwordKeys = passwordKeys || (password ? derivePasswordKeys(password, code) : null);
+    // Guest: keys the host accepted, reused on reconnect
+    this.joinKeys = joinKeys || (joinPassword ? derivePasswordKeys(joinPassword, code) : null);
+    this.listeners = new Map(); // Event type -> Set of listeners
+
+    // Peers
+    this.channels = new Set(); // Admitted channels (a guest's channel to the host), we broadcast to these
+    this.pendingChannels = new Set(); // Host: open channels not admitted yet
+    this.closing = new WeakSet(); // Channels we closed ourselves (no host migration)
+    this.channelState = new WeakMap(); // Data channel -> what we know about its peer, see channel()
+    this.roster = [];
+    this.joinRequests = []; // Host: { channel, username, requestedAt } waiting for approval
+    this.banned = []; // Usernames refused at identify (a guest keeps the host's list for a migration)
+    this.succession = succession; // Guest: usernames in the order they take over when the host leaves
+    this.migratedPeers = []; // New host: guests of the previous host, admitted without approval
+    this.passwordFailures = new Map(); // Host: peer -> its wrong passwords, see passwordFailuresOf()
+    this.passwordChallenge = null; // Guest: nonce waiting for an answer
+    this.passwordChannel = null; // Guest: channel waiting for the user's password
+
+    // Files
+    this.transfers = []; // {id, name, size, mimeType, progress, direction, status, ...} per file
+    this.incoming = {}; // fileId -> receive state of a running download
+    this.relays = {}; // Host: fileId -> chunk ranges guests requested through us from another guest
+    this.uploads = {}; // fileId -> Set of { dc, from, to, stopped, recipient, ... } ranges we are sending
+    this.digests = {}; // fileId -> SHA-256 (promise) of our own files, hashed while we send them
+    this.stats = createSessionStats(); // Bytes of file data sent and received
+
+    // Chat (messages saved before they had IDs get one)
+    this.chatMessages = chatMessages.map(m => (m.id ? m : { ...m, id: crypto.randomUUID() }));
+    this.typing = new Map(); // Name -> timer that drops them, for peers typing right now
+    this.typingSentAt = 0; // When we last told the peers we are typing, 0 when we aren't
+  }
+
+  // Listen to an event (see the top of this file), returns a function that stops listening
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type)?.delete(listener);
+  }
+
+  emit(type, ...args) {
+    this.listeners.get(type)?.forEach(listener => listener(...args));
+  }
+
+  notify(level, message) {
+    this.emit('notice', { level, message });
+  }
+
+  // What we know about the peer on a channel: its RTCPeerConnection, session key,
+  // handshake (codecs, capabilities), password nonce, upload scheduler and stream IDs
+  channel(dc) {
+    let state = this.channelState.get(dc);
+    if (!state) {
+      state = { outgoingStreams: { next: 1, ids: new Map() }, incomingStreams: new Map() };
+      this.channelState.set(dc, state);
+    }
+    return state;
+  }
+
+  // Receive a channel's messages and notice when it closes, unless the caller passes them on
+  // itself with receive() and channelClosed() (listen: false). peer names who is on the other
+  // end across reconnects (e.g. the name it signaled under), wrong passwords count per peer
+  attach(dc, { peerConnection, peer = dc, listen = true } = {}) {
+    this.channel(dc).peerConnection = peerConnection;
+    this.channel(dc).peer = peer;
+    dc.binaryType = 'arraybuffer';
+    if (!listen) return;
+    dc.addEventListener('message', event => this.receive(dc, event.data));
+    dc.addEventListener('close', () => this.channelClosed(dc));
+  }
+
+  // Host: a peer connected to one of our offers. It isn't broadcast to until we admit it
+  // from the waiting room, after the password check and identify
+  addChannel(dc, options) {
+    this.attach(dc, options);
+    if (dc.readyState === 'open') {
+      this.pendingChannels.add(dc);
+    } else {
+      dc.addEventListener('open', () => this.pendingChannels.add(dc), { once: true });
+    }
+  }
+
+  // Guest: connected to the host, ask whether a password is required (answered with a challenge if so)
+  join(dc, options) {
+    this.attach(dc, options);
+    this.channels.add(dc);
+    dc.send(JSON.stringify({ type: 'password-check' }));
+  }
+
+  receive(dc, data) {
+    this.handleMessage({ data, target: dc });
+  }
+
+  // A channel closed: its ranges go to other sources or pause, and its peer leaves the roster
+  channelClosed(dc) {
+    this.channels.delete(dc);
+    this.pendingChannels.delete(dc);
+    this.setJoinRequests(this.joinRequests.filter(r => r.channel !== dc));
+    this.pauseTransfers(dc);
+    if (!this.isHost) {
+      this.setRoster([]);
+      return;
+    }
+    const peer = this.roster.find(p => p.channel === dc);
+    if (peer) this.notify('info', `${peer.username} left`);
+    this.setRoster(this.roster.filter(p => p.channel !== dc));
+    if (this.channels.size === 0) {
+      this.emit('status', 'waiting');
+    }
+  }
+
+  // Whether we closed a channel ourselves, rather than the peer going away
+  isClosing(dc) {
+    return this.closing.has(dc);
+  }
+
+  hasOpenChannels() {
+    return [...this.channels].some(dc => dc.readyState === 'open');
+  }
+
+  // Encrypted when every channel was admitted with the session password
+  isEncrypted() {
+    const channels = [...this.channels];
+    return channels.length > 0 && channels.every(dc => this.channel(dc).key);
+  }
+
+  // Close every channel, without handing the session to another host
+  disconnect() {
+    this.channels.forEach(dc => {
+      this.closing.add(dc);
+      dc.close();
+    });
+    this.pendingChannels.forEach(dc => dc.close());
+  }
+
+  // Leave the session: close everything and drop running downloads. A session that was left
+  // emits nothing more
+  leave() {
+    this.succession = [];
+    this.disconnect();
+    Object.values(this.incoming).forEach(incoming => {
+      clearTimeout(incoming.digestTimer);
+      incoming.sink.abort().catch(console.error);
+    });
+    this.incoming = {};
+    this.relays = {};
+    this.typing.forEach(timer => clearTimeout(timer));
+    this.typing.clear();
+    this.listeners.clear();
+  }
+
+  // Guest: take over as host of the same session, keeping files and chat.
+  // The other guests are let in again without the waiting room, and we keep challenging with
+  // the password we joined with so the session key stays the same
+  becomeHost() {
+    this.migratedPeers = this.succession.filter(name => name !== this.username);
+    this.succession = [];
+    this.passwordKeys = this.joinKeys;
+    this.isHost = true;
+  }
+
+  setTransfers(transfers) {
+    this.transfers = transfers;
+    this.emit('transfers', transfers);
+  }
+
+  findTransfer(id) {
+    return this.transfers.find(t => t.id === id);
+  }
+
+  // Merge changes into a file's record (or the result of calling changes with it),
+  // direction limits it to our own ('out') or a downloaded ('in') copy of the file
+  updateTransfer(id, changes, direction) {
+    this.setTransfers(this.transfers.map(t => (t.id === id && (!direction || t.direction === direction)
+      ? { ...t, ...(typeof changes === 'function' ? changes(t) : changes) }
+      : t)));
+  }
+
+  removeTransfer(id) {
+    this.setTransfers(this.transfers.filter(t => t.id !== id));
+  }
+
+  setChatMessages(messages) {
+    this.chatMessages = messages;
+    this.emit('chat', messages);
+  }
+
+  setJoinRequests(requests) {
+    this.joinRequests = requests;
+    this.emit('join-requests', requests);
+  }
+
+  // Host: the guests learn who takes over if we leave (in the order they joined) and whom we refuse
+  setRoster(roster) {
+    this.roster = roster;
+    this.emit('roster', roster);
+    this.sendSuccession();
+  }
+
+  setBanned(banned) {
+    this.banned = banned;
+    this.emit('banned', banned);
+    this.sendSuccession();
+  }
+
+  sendSuccession() {
+    if (!this.isHost) return;
+    const order = this.roster.map(p => p.username);
+    this.roster.forEach(p => {
+      if (p.channel.readyState === 'open') {
+        this.sendSealed(p.channel, { type: 'succession', order, banned: this.banned }).catch(console.error);
+      }
+    });
+  }
+
+  // Host: challenge joining guests with this password, empty to let anyone ask to join
+  setPassword(password) {
+    this.passwordKeys = password ? derivePasswordKeys(password, this.code) : null;
+  }
+
+  // Host: let guests try the password again right away, forgetting earlier failures
+  unlockPassword() {
+    this.passwordFailures.clear();
+    this.emit('password-lockout', 0);
+  }
+
+  // Host: the wrong passwords of the peer on dc, forgotten after a quiet period. A peer
+  // guessing doesn't lock out anyone else
+  passwordFailuresOf(dc) {
+    const failures = this.passwordFailures.get(this.channel(dc).peer);
+    return failures && Date.now() - failures.lastFailedAt <= PASSWORD_QUIET_MS ? failures : createPasswordFailures();
+  }
+
+  // Host: forget peers whose failures are over, so guessers on ever new channels don't pile up
+  prunePasswordFailures() {
+    const now = Date.now();
+    this.passwordFailures.forEach((failures, peer) => {
+      if (failures.lockedUntil <= now && now - failures.lastFailedAt > PASSWORD_QUIET_MS) {
+        this.passwordFailures.delete(peer);
+      }
+    });
+  }
+
+  // Guest: answer the host's challenge with the password the user typed,
+  // false if the channel waiting for it is gone
+  submitPassword(password) {
+    const dc = this.passwordChannel;
+    if (!dc || dc.readyState !== 'open') return false;
+    this.passwordChannel = null;
+    this.sendPasswordResponse(dc, derivePasswordKeys(password, this.code)).catch(console.error);
+    return true;
+  }
+
+  // Handle incoming data channel message
+  handleMessage(event) {
+    // Binary data = file chunk
+    if (event.data instanceof ArrayBuffer) {
+      if (this.isHost && !this.channels.has(event.target)) {
+        console.warn('Ignoring chunk from a peer that has not been admitted');
+        return;
+      }
+      if (!event.decrypted) {
+        this.stats.received += event.data.byteLength;
+        this.stats.receivedMeter.add(event.data.byteLength);
+      }
+      // Encrypted session - decrypt the frame first, then handle it as a plain chunk
+      const { key } = this.channel(event.target);
+      if (key && !event.decrypted) {
+        decryptBytes(key, new Uint8Array(event.data))
+          .then(frame => this.handleMessage({ data: frame, target: event.target, decrypted: true }))
+          .catch(err => console.error('Failed to decrypt chunk:', err));
+        return;
+      }
+
+      // Frames too short for a header are garbage, like JSON that doesn't match its schema
+      if (event.data.byteLength < CHUNK_HEADER_SIZE) {
+        console.warn(`Ignoring a ${event.data.byteLength} byte frame, shorter than a chunk header`);
+        return;
+      }
+      const view = new DataView(event.data);
+      const version = view.getUint8(0);
+      if (version !== FRAME_VERSION) {
+        console.warn(`Ignoring chunk with unsupported frame version ${version}`);
+        return;
+      }
+
+      // The stream ID was announced in the file-start of this channel
+      const streamId = view.getUint16(1);
+      const stream = this.channel(event.target).incomingStreams.get(streamId);
+      if (!stream) {
+        console.warn(`Ignoring chunk for unknown stream ${streamId}`);
+        return;
+      }
+      const { id: fileId, chunkSize, codec } = stream;
+      const chunkIndex = view.getUint32(3);
+      const chunkHash = new Uint8Array(event.data, 7, 32);
+      const chunkData = new Uint8Array(event.data, CHUNK_HEADER_SIZE);
+
+      // Host: pass chunks of files we relay on to the guests that asked for them (as they came)
+      if (!event.decompressed) {
+        this.forwardRelayedChunk(stream, chunkIndex, event.data);
+      }
+
+      // Chunks of another size were fetched for a relay, not for our own download
+      const incoming = this.incoming[fileId];
+      if (incoming && incoming.chunkSize === chunkSize) {
+        // Compressed chunk - decompress it, then handle it as a plain chunk. Chunks that
+        // didn't get smaller are sent as they are. Undecodable data fails the hash check
+        // below and is re-requested like any corrupted chunk
+        const length = chunkLength(incoming.size, chunkSize, chunkIndex);
+        if (codec && !event.decompressed && chunkData.length !== length) {
+          decompressBytes(codec, chunkData, length)
+            .catch(err => {
+              console.warn(`Failed to decompress chunk ${chunkIndex} of ${incoming.name}:`, err);
+              return new Uint8Array(0);
+            })
+            .then(data => {
+              const frame = new Uint8Array(CHUNK_HEADER_SIZE + data.length);
+              frame.set(new Uint8Array(event.data, 0, CHUNK_HEADER_SIZE));
+              frame.set(data, CHUNK_HEADER_SIZE);
+              this.handleMessage({
+                data: frame.buffer,
+                target: event.target,
+                decrypted: true,
+                decompressed: true,
+                wireLength: chunkData.length,
+              });
+            })
+            .catch(console.error);
+          return;
+        }
+
+        // Corrupted chunk - ask the sender for it again
+        if (!isChunkIntact(chunkHash, chunkData)) {
+          const retries = (incoming.retries[chunkIndex] || 0) + 1;
+          incoming.retries[chunkIndex] = retries;
+          if (retries > MAX_CHUNK_RETRIES) {
+            this.updateTransfer(fileId, { status: 'corrupt' });
+            incoming.sink.abort().catch(console.error);
+            delete this.incoming[fileId];
+            this.notify('error', `${incoming.name} is corrupt`);
+          } else {
+            console.warn(`Chunk ${chunkIndex} of ${incoming.name} failed verification, re-requesting`);
+            event.target.send(JSON.stringify({ type: 'chunk-request', id: fileId, index: chunkIndex, chunkSize }));
+          }
+          return;
+        }
+
+        // Chunks may be re-sent after a resume, only count each one once
+        if (chunkIndex < incoming.writtenUpTo || incoming.pending.has(chunkIndex)) return;
+        incoming.pending.set(chunkIndex, chunkData);
+        incoming.receivedChunks++;
+        incoming.receivedBytes += chunkData.length;
+        incoming.wireBytes += event.wireLength ?? chunkData.length;
+        incoming.meter.add(chunkData.length);
+
+        // Hash and write chunks in order (re-requested chunks can arrive late),
+        // only out-of-order chunks stay in memory
+        while (incoming.pending.has(incoming.writtenUpTo)) {
+          const chunk = incoming.pending.get(incoming.writtenUpTo);
+          incoming.pending.delete(incoming.writtenUpTo);
+          incoming.hasher.update(chunk);
+          incoming.sink.write(chunk);
+          incoming.writtenUpTo++;
+        }
+
+        // Source finished its range - give it the next one
+        const assignment = incoming.assignments.get(event.target);
+        if (assignment && chunkIndex >= assignment.from && chunkIndex < assignment.to && --assignment.missing === 0) {
+          this.requestNextRange(fileId, event.target);
+        }
+        // Sources held back while too many chunks waited can carry on
+        if (incoming.waiting && incoming.pending.size * incoming.chunkSize < MAX_PENDING_BYTES) {
+          incoming.waiting = false;
+          this.requestIdleSources(fileId);
+        }
+
+        const progress = Math.round((incoming.receivedChunks / incoming.totalChunks) * 100);
+        const speed = incoming.meter.rate();
+        const eta = estimateSeconds(incoming.size - incoming.receivedBytes, speed);
+        const compressionRatio = incoming.receivedBytes / incoming.wireBytes;
+        this.updateTransfer(fileId, { progress, speed, eta, compressionRatio });
+
+        // Check if complete
+        if (incoming.writtenUpTo === incoming.totalChunks) {
+          this.finishDownload(fileId, incoming);
+        }
+      }
+      return;
+    }
+
+    // JSON message
+    try {
+      const msg = JSON.parse(event.data);
+
+      // Every message has to match the schema of its type (see lib/protocol)
+      const invalid = validateMessage(msg);
+      if (invalid) {
+        console.warn(`Ignoring message: ${invalid}`);
+        return;
+      }
+
+      // Host: peers in the waiting room can only authenticate and ask to join,
+      // and no guest can act as the host
+      if (this.isHost && !this.channels.has(event.target) && !ADMISSION_MESSAGES.includes(msg.type)) {
+        console.warn(`Ignoring ${msg.type} from a peer that has not been admitted`);
+        return;
+      }
+      if (this.isHost && HOST_MESSAGES.includes(msg.type)) {
+        console.warn(`Ignoring ${msg.type} from a guest`);
+        return;
+      }
+
+      // Encrypted payload - decrypt and handle the message inside
+      const { key } = this.channel(event.target);
+      if (msg.type === 'sealed') {
+        if (!key) {
+          console.warn('Ignoring sealed message on a channel without a session key');
+          return;
+        }
+        decryptBytes(key, fromBase64(msg.data))
+          .then(plain => this.handleMessage({ data: new TextDecoder().decode(plain), target: event.target, decrypted: true }))
+          .catch(err => console.error('Failed to decrypt message:', err));
+        return;
+      }
+
+      // Chat on an encrypted channel must arrive sealed
+      if (SEALED_MESSAGES.includes(msg.type) && key && !event.decrypted) {
+        console.warn(`Ignoring unencrypted ${msg.type} on an encrypted channel`);
+        return;
+      }
+
+      // Nobody chats, reacts or edits under someone else's name
+      if (CHAT_MESSAGES.includes(msg.type) && !this.isChatSender(event.target, msg.from)) {
+        console.warn(`Ignoring ${msg.type} from a peer that isn't ${msg.from}`);
+        return;
+      }
+
+      if (this.isHost && msg.type === 'file-offer') {
+        this.checkFileOffer(msg, event.target);
+      }
+      // Host: how often a file was sent only comes from its sender
+      if (this.isHost && msg.type === 'upload-count' && !this.isFileSender(event.target, msg.id)) {
+        console.warn(`Ignoring upload-count for ${msg.id} from a peer that didn't send it`);
+        return;
+      }
+
+      // Host: what one guest shares reaches all the other guests too
+      if (this.isHost && RELAYED_MESSAGES.includes(msg.type)) {
+        this.channels.forEach(dc => {
+          const capability = MESSAGE_CAPABILITIES[msg.type];
+          if (dc !== event.target && dc.readyState === 'open' &&
+            (!capability || this.peerSupports(dc, capability))) {
+            this.sendSealed(dc, msg).catch(console.error);
+          }
+        });
+      }
+
+      this.handleControlMessage(msg, event.target);
+    } catch (err) {
+      console.error('Failed to parse message:', err);
+    }
+  }
+
+  // A validated, decrypted JSON message from the peer on dc
+  handleControlMessage(msg, dc) {
+    // Password protocol - must be checked before any other messages
+    if (msg.type === 'password-check') {
+      // Host receives password check from joining peer
+      const lockedFor = this.passwordFailuresOf(dc).lockedUntil - Date.now();
+      if (!this.passwordKeys) {
+        // No password set
+        dc.send(JSON.stringify({ type: 'password-ok' }));
+      } else if (lockedFor > 0) {
+        // Too many wrong passwords recently - refuse without a challenge
+        dc.send(JSON.stringify({ type: 'password-locked', retryAfter: Math.ceil(lockedFor / 1000) }));
+        setTimeout(() => dc.close(), 100);
+      } else {
+        // Challenge the peer to prove it knows the password
+        const nonce = createChallenge();
+        this.channel(dc).nonce = nonce;
+        dc.send(JSON.stringify({ type: 'password-challenge', nonce }));
+      }
+      return;
+    } else if (msg.type === 'password-response') {
+      // Host receives the peer's answer to its challenge
+      this.handlePasswordResponse(dc, msg.response).catch(console.error);
+      return;
+    } else if (msg.type === 'password-challenge') {
+      // Host requires a password - answer with the one that worked before, or ask the user
+      this.passwordChallenge = msg.nonce;
+      if (this.joinKeys) {
+        this.sendPasswordResponse(dc, this.joinKeys).catch(console.error);
+      } else {
+        this.passwordChannel = dc;
+        this.emit('password-required');
+      }
+      return;
+    } else if (msg.type === 'password-ok') {
+      // Peer receives password accepted - send identify and wait for the host to let us in
+      dc.send(JSON.stringify({
+        type: 'identify', from: this.username, ...handshakeFields(), codecs: SUPPORTED_CODECS,
+      }));
+      this.emit('admission');
+      return;
+    } else if (['password-fail', 'password-locked', 'join-denied', 'kicked'].includes(msg.type) && !this.isHost) {
+      const deniedReasons = {
+        banned: 'You are banned from this session',
+        name: 'Your name is taken in this session',
+        protocol: describeIncompatibility(msg),
+      };
+      this.reject({
+        'password-fail': 'Incorrect password',
+        'password-locked': `Too many failed attempts, try again in ${msg.retryAfter}s`,
+        'join-denied': deniedReasons[msg.reason] || 'The host declined your request to join',
+        'kicked': msg.reason === 'banned' ? 'You were banned from this session' : 'You were removed from the session',
+      }[msg.type]);
+      return;
+    }
+
+    if (msg.type === 'identify') {
+      // With a password set, only peers that answered the challenge may ask to join
+      if (this.passwordKeys && !this.channel(dc).key) {
+        console.warn('Ignoring identify from a peer that skipped the password check');
+        return;
+      }
+      // Turn away clients whose protocol version we can't talk to, telling them who has to update
+      if (!isCompatible(msg)) {
+        console.warn(`${msg.from} uses protocol ${msg.protocol ?? 'without a version'}, refusing`);
+        this.notify('error', `${msg.from} can't join: ${describeIncompatibility(msg)}`);
+        this.removePeer(dc, 'join-denied', 'protocol', handshakeFields());
+        return;
+      }
+      if (this.banned.includes(msg.from)) {
+        this.removePeer(dc, 'join-denied', 'banned');
+        return;
+      }
+      if (msg.from === HOST_CHAT_NAME) {
+        this.removePeer(dc, 'join-denied', 'name');
+        return;
+      }
+      this.channel(dc).codecs = msg.codecs;
+      this.channel(dc).capabilities = msg.capabilities;
+      // Guests of the previous host come straight back in after a host migration
+      if (this.migratedPeers.includes(msg.from)) {
+        this.migratedPeers = this.migratedPeers.filter(name => name !== msg.from);
+        this.admit({ channel: dc, username: msg.from });
+        return;
+      }
+      // Wait in the waiting room until the host approves or denies
+      this.setJoinRequests([
+        ...this.joinRequests.filter(r => r.channel !== dc),
+        { channel: dc, username: msg.from, requestedAt: Date.now() },
+      ]);
+      this.notify('info', `${msg.from} wants to join`);
+    } else if (msg.type === 'identify_ack') {
+      // A host we can't talk to (the protocol changed) - leave instead of doing nothing
+      if (!isCompatible(msg)) {
+        this.reject(describeIncompatibility(msg));
+        return;
+      }
+      // One ack per channel, the host's name doesn't change afterwards
+      if (this.roster.some(p => p.channel === dc)) {
+        console.warn('Ignoring a repeated identify_ack');
+        return;
+      }
+      this.addToRoster(dc, msg.from);
+      this.channel(dc).codecs = msg.codecs;
+      this.channel(dc).capabilities = msg.capabilities;
+      this.channel(dc).awaitingHistory = true; // The host sends its chat history right after
+      this.emit('status', 'connected');
+      // Send available files to host (our own and completed ones we can re-seed)
+      this.transfers.filter(t => t.pendingFile).forEach(t => this.sendFileOffer(dc, t));
+    } else if (msg.type === 'file-offer') {
+      // The same file can be offered by its sender and by peers that completed it
+      const known = this.findTransfer(msg.id);
+      if (known?.pendingFile) return; // We have it ourselves
+      const incoming = this.incoming[msg.id];
+
+      if (known) {
+        // Update the file with the latest info (e.g. uploadCount) and the channels
+        // it can be fetched from (they change after a reconnect)
+        const paused = known.status === 'paused';
+        this.updateTransfer(msg.id, t => ({
+          uploadCount: Math.max(msg.uploadCount || 0, t.uploadCount || 0),
+          sha256: msg.sha256 || t.sha256,
+          status: incoming && paused && !incoming.paused ? 'resuming' : t.status,
+          _sourceChannel: t._sourceChannel?.readyState === 'open' ? t._sourceChannel : dc,
+          _sources: [...(t._sources || []).filter(source => source !== dc && source.readyState === 'open'), dc],
+        }));
+      } else {
+        // Show file as available - can be downloaded on demand
+        this.setTransfers([...this.transfers, {
+          id: msg.id,
+          name: msg.name,
+          size: msg.size,
+          mimeType: msg.mimeType,
+          path: msg.path || null,
+          progress: 0,
+          direction: 'in',
+          status: 'available',
+          sender: msg.sender,
+          uploadCount: msg.uploadCount || 0,
+          sha256: msg.sha256 || null, // What the file has to hash to, from its sender
+          // The channels to request it from
+          _sourceChannel: dc,
+          _sources: [dc],
+        }]);
+      }
+
+      if (incoming && msg.sha256) {
+        incoming.sha256 = msg.sha256;
+        // Everything arrived already and waits for this to be verified
+        if (incoming.digestTimer) this.finishDownload(msg.id, incoming);
+      }
+      // A new source for a running or paused download starts sending right away
+      if (incoming && !incoming.assignments.has(dc)) {
+        this.requestNextRange(msg.id, dc);
+      }
+    } else if (msg.type === 'file-preview') {
+      // Thumbnail or text excerpt for a file offered earlier
+      const preview = readPreview(msg);
+      if (!preview) return;
+      this.updateTransfer(msg.id, { preview }, 'in');
+    } else if (msg.type === 'file-request') {
+      // Peer requested a file, start sending it over the requesting peer's channel
+      // from/to select a chunk range (several sources, or resuming a download)
+      const transfer = this.findTransfer(msg.id);
+      if (transfer && transfer.pendingFile && transfer.direction === 'out' && transfer.pausedByUser) {
+        // We paused this file - the requester waits until we offer it again
+        dc.send(JSON.stringify({ type: 'file-pause', id: msg.id, from: msg.from, to: msg.to }));
+      } else if (transfer && transfer.pendingFile) {
+        this.sendFileData(msg.id, transfer.pendingFile, dc, msg.from || 0, msg.to, {
+          chunkSize: msg.chunkSize || CHUNK_SIZE,
+          requester: msg.requester,
+          codecs: msg.codecs,
+        }).catch(console.error);
+      } else if (transfer && this.isHost) {
+        // Host: another guest has this file, fetch the range for the requester
+        const chunkSize = msg.chunkSize || CHUNK_SIZE;
+        const to = msg.to ?? Math.ceil(transfer.size / chunkSize);
+        this.relayRequest(msg.id, dc, msg.from || 0, to, chunkSize);
+      }
+    } else if (msg.type === 'chunk-request') {
+      // Peer received a corrupted chunk, send it again
+      const transfer = this.findTransfer(msg.id);
+      if (transfer && transfer.pendingFile) {
+        this.resendChunk(msg.id, transfer.pendingFile, msg.index, dc, msg.chunkSize || CHUNK_SIZE, msg.codecs);
+      } else if (transfer && this.isHost) {
+        this.relayRequest(msg.id, dc, msg.index, msg.index + 1, msg.chunkSize || CHUNK_SIZE);
+      }
+    } else if (msg.type === 'file-start') {
+      // Chunks of this file arrive under the stream ID the sender picked
+      const stream = { id: msg.id, chunkSize: msg.chunkSize || CHUNK_SIZE, codec: msg.codec || null };
+      this.channel(dc).incomingStreams.set(msg.stream, stream);
+
+      // Host: guests waiting for this file through us need the file-start as well,
+      // with the stream ID we forward its chunks under
+      this.relays[msg.id]?.filter(relay => this.relayCarries(relay, stream)).forEach(relay =>
+        this.sendSealed(relay.target, { ...msg, stream: this.getStreamId(relay.target, msg.id, stream.chunkSize, stream.codec) })
+          .catch(console.error)
+      );
+
+      // Peer is starting to send a range of a file we requested
+      // (one per source and range, the download itself was set up by download())
+      const incoming = this.incoming[msg.id];
+      if (!incoming || incoming.chunkSize !== stream.chunkSize) return;
+      this.updateTransfer(msg.id, { status: 'transferring' });
+    } else if (msg.type === 'file-cancel' || msg.type === 'file-pause') {
+      // Either the receiver stopped a range it asked us for (cancel),
+      // or the sender stopped what it was sending us (pause or cancel)
+      this.stopUploads(msg.id, dc, msg.from, msg.to);
+      if (this.isHost) this.stopRelays(msg, dc);
+      this.handleSourceStopped(msg.id, dc, msg.type === 'file-cancel');
+    } else if (msg.type === 'file-decline') {
+      // Peer declined our file offer
+      this.updateTransfer(msg.id, { status: 'declined' });
+      this.notify('error', `File declined: ${msg.name}`);
+    } else if (msg.type === 'chat') {
+      this.setChatMessages([...this.chatMessages, {
+        id: msg.id || crypto.randomUUID(), // Clients without rich-chat send no ID
+        from: msg.from,
+        text: msg.text,
+        timestamp: msg.timestamp,
+        isYou: false,
+      }]);
+      this.setPeerTyping(msg.from, false);
+    } else if (msg.type === 'chat-react') {
+      if (msg.emoji.length <= MAX_REACTION_LENGTH) {
+        this.applyReaction(msg.id, msg.from, msg.emoji, msg.active);
+      }
+    } else if (msg.type === 'chat-edit') {
+      // Only the author can change a message
+      this.updateChatMessage(msg.id, m => (m.from === msg.from && !m.deleted
+        ? { text: msg.text, edited: msg.edited }
+        : {}));
+    } else if (msg.type === 'chat-delete') {
+      this.updateChatMessage(msg.id, m => (m.from === msg.from
+        ? { text: '', deleted: true, reactions: [] }
+        : {}));
+    } else if (msg.type === 'typing') {
+      this.setPeerTyping(msg.from, msg.active);
+    } else if (msg.type === 'succession') {
+      // Host: who takes over if it leaves, and whom it refuses
+      if (this.isHost) return;
+      this.succession = msg.order;
+      this.setBanned(msg.banned);
+    } else if (msg.type === 'chat-history') {
+      // Received chat history from host, once when it let us in
+      const state = this.channel(dc);
+      if (!state.awaitingHistory) {
+        console.warn('Ignoring chat-history outside of joining');
+        return;
+      }
+      state.awaitingHistory = false;
+      this.setChatMessages(msg.messages.map(m => ({
+        ...m,
+        id: m.id || crypto.randomUUID(),
+        isYou: m.from === this.username,
+      })));
+    } else if (msg.type === 'upload-count') {
+      this.updateTransfer(msg.id, { uploadCount: msg.count });
+    }
+  }
+
+  // Guest: the host turned us away or we can't talk to it, leave with the reason
+  reject(reason) {
+    this.emit('rejected', reason);
+    this.leave();
+  }
+
+  // Host: verify a password response, locking out a peer after repeated failures. A wrong
+  // guess counts even when the peer closes the channel before hearing back
+  async handlePasswordResponse(dc, response) {
+    const state = this.channel(dc);
+    const { nonce } = state;
+    state.nonce = null; // Each nonce answers exactly one attempt
+
+    const keys = await this.passwordKeys;
+    const valid = keys && nonce && Date.now() >= this.passwordFailuresOf(dc).lockedUntil &&
+      await verifyChallenge(keys.auth, nonce, response);
+
+    if (valid) {
+      if (dc.readyState !== 'open') return;
+      // The peer knows the password, its guesses before don't count any more
+      this.passwordFailures.delete(state.peer);
+      // Everything after admission is encrypted with the password-derived key
+      state.key = keys.session;
+      dc.send(JSON.stringify({ type: 'password-ok' }));
+      return;
+    }
+
+    this.prunePasswordFailures();
+    const failures = this.passwordFailuresOf(dc);
+    this.passwordFailures.set(state.peer, failures);
+    failures.attempts++;
+    failures.lastFailedAt = Date.now();
+    if (failures.attempts >= MAX_PASSWORD_ATTEMPTS) {
+      failures.lockedUntil = Date.now() + Math.min(PASSWORD_LOCKOUT_MS * 2 ** failures.lockouts, MAX_PASSWORD_LOCKOUT_MS);
+      failures.lockouts++;
+      failures.attempts = 0;
+      this.emit('password-lockout', Math.max(...[...this.passwordFailures.values()].map(f => f.lockedUntil)));
+      this.notify('error', 'Too many wrong passwords, that peer has to wait before trying again');
+    }
+    if (dc.readyState !== 'open') return;
+    dc.send(JSON.stringify({ type: 'password-fail' }));
+    setTimeout(() => dc.close(), 100);
+  }
+
+  // Guest: answer the host's challenge with a password's keys, without sending the password itself
+  async sendPasswordResponse(dc, keys) {
+    const nonce = this.passwordChallenge;
+    if (!nonce) return;
+    this.passwordChallenge = null;
+    this.joinKeys = keys;
+    const { auth, session } = await keys;
+    const response = await answerChallenge(auth, nonce);
+    // Ready to decrypt before the host admits us (a wrong password closes the channel anyway)
+    this.channel(dc).key = session;
+    if (dc.readyState === 'open') {
+      dc.send(JSON.stringify({ type: 'password-response', response }));
+    }
+  }
+
+  // One roster entry per data channel, replacing any earlier entry for the same channel
+  addToRoster(dc, name) {
+    this.setRoster([
+      ...this.roster.filter(p => p.channel !== dc),
+      { channel: dc, username: name, joinedAt: Date.now(), peerConnection: this.channel(dc).peerConnection },
+    ]);
+  }
+
+  // Host: let a peer in from the waiting room
+  admit(request) {
+    const dc = request.channel;
+    this.setJoinRequests(this.joinRequests.filter(r => r !== request));
+    if (dc.readyState !== 'open') return;
+
+    this.pendingChannels.delete(dc);
+    this.channels.add(dc); // Track for broadcasting
+    // Send ack before the succession that comes with the roster
+    dc.send(JSON.stringify({ type: 'identify_ack', from: this.username, ...handshakeFields(), codecs: SUPPORTED_CODECS }));
+    this.addToRoster(dc, request.username);
+    this.emit('status', 'connected');
+    // Send chat history, with reactions and edits for peers that show them
+    const richChat = this.peerSupports(dc, 'rich-chat');
+    const history = this.chatMessages
+      .filter(m => richChat || !m.deleted)
+      .map(m => ({
+        id: m.id, from: m.from, text: m.text, timestamp: m.timestamp,
+        ...(richChat ? { reactions: m.reactions, edited: m.edited, deleted: m.deleted } : {}),
+      }));
+    // Sent even when empty, the guest takes a history only once
+    this.sendSealed(dc, { type: 'chat-history', messages: history }).catch(console.error);
+    // Send available files to new peer: our own, completed ones we can re-seed,
+    // and the other guests' files which we relay
+    this.transfers.filter(t =>
+      t.pendingFile || this.getOpenSources(t.id).some(source => source !== dc)
+    ).forEach(t => this.sendFileOffer(dc, t));
+    this.notify('success', `${request.username} joined`);
+  }
+
+  // Host: tell a peer why it is being dropped, then close its channel
+  removePeer(dc, type, reason, details = {}) {
+    if (dc.readyState === 'open') {
+      dc.send(JSON.stringify({ type, reason, ...details }));
+    }
+    setTimeout(() => dc.close(), 100);
+  }
+
+  deny(request) {
+    this.setJoinRequests(this.joinRequests.filter(r => r !== request));
+    this.removePeer(request.channel, 'join-denied', 'denied');
+  }
+
+  // Host: remove an admitted peer, optionally refusing its username from now on
+  kick(peer, ban = false) {
+    if (ban) {
+      if (!this.banned.includes(peer.username)) this.setBanned([...this.banned, peer.username]);
+      // Anyone still waiting under the same name is turned away too
+      this.joinRequests.filter(r => r.username === peer.username).forEach(r => this.deny(r));
+    }
+    this.setRoster(this.roster.filter(p => p.channel !== peer.channel));
+    this.removePeer(peer.channel, 'kicked', ban ? 'banned' : 'kicked');
+    this.notify('success', `${peer.username} was ${ban ? 'banned' : 'removed'}`);
+  }
+
+  unban(name) {
+    this.setBanned(this.banned.filter(u => u !== name));
+  }
+
+  // Send a message to every admitted peer, skipping peers without the capability it needs
+  broadcast(msg) {
+    const capability = MESSAGE_CAPABILITIES[msg.type];
+    this.channels.forEach(dc => {
+      if (dc.readyState === 'open' && (!capability || this.peerSupports(dc, capability))) {
+        this.sendSealed(dc, msg).catch(console.error);
+      }
+    });
+  }
+
+  // Name our chat messages, reactions and typing go out under
+  chatName() {
+    return this.isHost ? HOST_CHAT_NAME : this.username;
+  }
+
+  // Host: a guest offering a file we don't know yet is its sender, whatever it claims. Only the
+  // sender's own offers may carry the digest receivers check the file against, anyone else
+  // offering it could only have downloaded it
+  checkFileOffer(msg, dc) {
+    const name = this.roster.find(p => p.channel === dc)?.username;
+    const known = this.findTransfer(msg.id);
+    if (!known) msg.sender = name;
+    if ((known ? known.sender : name) !== name) delete msg.sha256;
+  }
+
+  // Host: whether dc belongs to the guest that shared a file
+  isFileSender(dc, fileId) {
+    const sender = this.findTransfer(fileId)?.sender;
+    return this.roster.some(p => p.channel === dc && p.username === sender);
+  }
+
+  // Whether a message sent under a chat name can come from dc: the host takes it only from the
+  // guest admitted under that name, a guest only from the host (which checked it before relaying)
+  isChatSender(dc, from) {
+    if (!this.isHost) return this.channels.has(dc);
+    return this.roster.some(p => p.channel === dc && p.username === from);
+  }
+
+  // Send chat message
+  sendChat(text) {
+    if (!text.trim()) return;
+
+    const message = {
+      id: crypto.randomUUID(),
+      from: this.chatName(),
+      text: text.trim(),
+      timestamp: Date.now(),
+      isYou: true,
+    };
+    this.setChatMessages([...this.chatMessages, message]);
+    this.typingSentAt = 0; // Receivers stop showing us as typing when the message arrives
+
+    // Broadcast to all connected peers
+    this.broadcast({
+      type: 'chat',
+      id: message.id,
+      from: message.from,
+      text: message.text,
+      timestamp: message.timestamp,
+    });
+  }
+
+  updateChatMessage(id, changes) {
+    this.setChatMessages(this.chatMessages.map(m => (m.id === id
+      ? { ...m, ...(typeof changes === 'function' ? changes(m) : changes) }
+      : m)));
+  }
+
+  // Add or take back user's reaction to a message
+  applyReaction(id, user, emoji, active) {
+    this.updateChatMessage(id, m => {
+      const reactions = m.reactions || [];
+      const entry = reactions.find(r => r.emoji === emoji);
+      const users = (entry?.users || []).filter(name => name !== user).concat(active ? [user] : []);
+      const updated = entry
+        ? reactions.map(r => (r === entry ? { emoji, users } : r))
+        : [...reactions, { emoji, users }];
+      return { reactions: updated.filter(r => r.users.length > 0) };
+    });
+  }
+
+  // Toggle our reaction to a chat message
+  reactToChat(id, emoji) {
+    const message = this.chatMessages.find(m => m.id === id);
+    if (!message || message.deleted) return;
+    const from = this.chatName();
+    const active = !message.reactions?.some(r => r.emoji === emoji && r.users.includes(from));
+    this.applyReaction(id, from, emoji, active);
+    this.broadcast({ type: 'chat-react', id, from, emoji, active });
+  }
+
+  // Change the text of one of our chat messages
+  editChat(id, text) {
+    const message = this.chatMessages.find(m => m.id === id);
+    if (!message?.isYou || message.deleted || !text.trim()) return;
+    const edited = Date.now();
+    this.updateChatMessage(id, { text: text.trim(), edited });
+    this.broadcast({ type: 'chat-edit', id, from: message.from, text: text.trim(), edited });
+  }
+
+  // Delete one of our chat messages, everyone keeps a "deleted" placeholder
+  deleteChat(id) {
+    const message = this.chatMessages.find(m => m.id === id);
+    if (!message?.isYou || message.deleted) return;
+    this.updateChatMessage(id, { text: '', deleted: true, reactions: [] });
+    this.broadcast({ type: 'chat-delete', id, from: message.from });
+  }
+
+  // Tell the peers whether we are typing, called on every change of the chat input
+  setTyping(active) {
+    const now = Date.now();
+    if (active ? now - this.typingSentAt < TYPING_REFRESH_MS : this.typingSentAt === 0) return;
+    this.typingSentAt = active ? now : 0;
+    this.broadcast({ type: 'typing', from: this.chatName(), active });
+  }
+
+  // A peer started or stopped typing, it stops counting after TYPING_TIMEOUT_MS without news
+  setPeerTyping(name, active) {
+    const wasTyping = this.typing.has(name);
+    clearTimeout(this.typing.get(name));
+    if (active) {
+      this.typing.set(name, setTimeout(() => this.setPeerTyping(name, false), TYPING_TIMEOUT_MS));
+    } else {
+      this.typing.delete(name);
+    }
+    if (active !== wasTyping) this.emit('typing', [...this.typing.keys()]);
+  }
+
+  // Share a file with everyone in the session, it is sent to whoever asks for it.
+  // path is the file's relative path when it is part of a shared folder,
+  // id and handle come along when restoring a session, so the file keeps its id
+  shareFile(file, { path = null, id, handle } = {}) {
+    const transfer = {
+      id: id || crypto.randomUUID(),
+      name: file.name,
+      size: file.size,
+      mimeType: file.type,
+      path,
+      progress: 0,
+      direction: 'out',
+      status: 'available',
+      pendingFile: file, // Kept so the file can be sent to every peer that asks
+      fileHandle: handle, // Lets a host restore the file after a refresh
+      sender: this.username, // Track who shared this file
+      uploadCount: 0, // Track how many times this file has been uploaded
+    };
+    this.setTransfers([...this.transfers, transfer]);
+
+    const offerMsg = buildFileOffer(transfer);
+    this.channels.forEach(dc => {
+      if (dc.readyState === 'open') dc.send(offerMsg);
+    });
+    return transfer;
+  }
+
+  // Attach a preview to one of our files and send it to the peers that show previews
+  // (sealed like chat, a thumbnail shows what is in the file)
+  setPreview(fileId, preview) {
+    this.updateTransfer(fileId, { preview });
+    this.channels.forEach(dc => {
+      if (dc.readyState === 'open' && this.peerSupports(dc, 'previews')) {
+        this.sendSealed(dc, { type: 'file-preview', id: fileId, ...preview }).catch(console.error);
+      }
+    });
+  }
+
+  // Whether the peer on a channel listed an optional protocol feature in its handshake
+  peerSupports(dc, capability) {
+    return Boolean(this.channel(dc).capabilities?.includes(capability));
+  }
+
+  // Offer a file over a channel, followed by its preview when it has one
+  sendFileOffer(dc, transfer) {
+    dc.send(buildFileOffer(transfer));
+    if (transfer.preview && this.peerSupports(dc, 'previews')) {
+      this.sendSealed(dc, { type: 'file-preview', id: transfer.id, ...transfer.preview }).catch(console.error);
+    }
+  }
+
+  // Tell everyone we can serve a file we completed (or offer our own file again)
+  advertiseSource(fileId, file) {
+    const transfer = this.findTransfer(fileId);
+    if (!transfer) return;
+    const offerMsg = buildFileOffer({ ...transfer, pendingFile: file });
+    this.channels.forEach(dc => {
+      if (dc.readyState === 'open') {
+        dc.send(offerMsg);
+      }
+    });
+  }
+
+  // Send a JSON message, sealed with the session key if the channel has one
+  async sendSealed(dc, msg) {
+    const { key } = this.channel(dc);
+    if (!key) {
+      dc.send(JSON.stringify(msg));
+      return;
+    }
+    const sealed = await encryptBytes(key, new TextEncoder().encode(JSON.stringify(msg)));
+    if (dc.readyState === 'open') {
+      dc.send(JSON.stringify({ type: 'sealed', data: toBase64(sealed) }));
+    }
+  }
+
+  // Send a binary chunk message, encrypted with the session key if the channel has one
+  async sendBinary(dc, message) {
+    const { key } = this.channel(dc);
+    const data = key ? await encryptBytes(key, new Uint8Array(message)) : message;
+    if (dc.readyState === 'open') {
+      dc.send(data);
+      this.stats.sent += data.byteLength;
+      this.stats.sentMeter.add(data.byteLength);
+    }
+  }
+
+  // Stream ID for sending a file in chunks of chunkSize (compressed with codec) over a channel,
+  // the same one every time
+  getStreamId(dc, fileId, chunkSize, codec) {
+    const streams = this.channel(dc).outgoingStreams;
+    const key = `${fileId}/${chunkSize}/${codec || 'none'}`;
+    if (!streams.ids.has(key)) {
+      streams.ids.set(key, streams.next);
+      streams.next = streams.next % MAX_STREAM_ID + 1;
+    }
+    return streams.ids.get(key);
+  }
+
+  // One scheduler per channel interleaves the uploads sent over it
+  getScheduler(dc) {
+    const state = this.channel(dc);
+    if (!state.scheduler) {
+      state.scheduler = createUploadScheduler(dc, {
+        send: frame => this.sendBinary(dc, frame),
+        getPriority: upload => this.findTransfer(upload.fileId)?.priority || 0,
+      });
+    }
+    return state.scheduler;
+  }
+
+  // Codec to compress a file with for a receiver, null when the file doesn't compress
+  // or the receiver decodes none of ours. codecs is what a relayed receiver decodes
+  chooseCodec(file, dc, codecs) {
+    return isCompressible(file) ? pickCodec(codecs ?? this.channel(dc).codecs) : null;
+  }
+
+  // Open channels that can send us a file
+  getOpenSources(fileId) {
+    const transfer = this.findTransfer(fileId);
+    if (!transfer) return [];
+    const sources = transfer._sources || (transfer._sourceChannel ? [transfer._sourceChannel] : []);
+    return sources.filter(dc => dc.readyState === 'open');
+  }
+
+  // Ask the peers that have a file to send it, its data goes to the given sink
+  // (write/close/abort, see lib/fileSink). False if no peer that has it is connected
+  download(fileId, sink) {
+    const transfer = this.findTransfer(fileId);
+    const sources = this.getOpenSources(fileId);
+    if (sources.length === 0) {
+      sink.abort().catch(console.error);
+      return false;
+    }
+
+    // The largest chunks every source's channel can carry, so all ranges count chunks alike
+    const chunkSize = Math.min(...sources.map(dc =>
+      chunkSizeFor(this.channel(dc).peerConnection?.sctp?.maxMessageSize)
+    ));
+    this.incoming[fileId] = createIncomingFile(transfer, sink, chunkSize);
+    sources.forEach(dc => this.requestNextRange(fileId, dc));
+
+    // Update status to show we're waiting for transfer
+    this.updateTransfer(fileId, { status: 'requesting' });
+    return true;
+  }
+
+  // Receiver: every chunk is in, check the whole file and hand it over
+  finishDownload(fileId, incoming) {
+    // The sender's digest follows its data (it hashes while sending), give it a moment to arrive
+    if (!incoming.sha256 && !incoming.digestTimer && this.getOpenSources(fileId).length > 0) {
+      incoming.digestTimer = setTimeout(() => this.finishDownload(fileId, incoming), DIGEST_WAIT_MS);
+      this.updateTransfer(fileId, { status: 'verifying' });
+      return;
+    }
+    clearTimeout(incoming.digestTimer);
+    if (this.incoming[fileId] !== incoming) return; // Cancelled while waiting
+    delete this.incoming[fileId];
+    const digest = toHex(incoming.hasher.digest());
+    const verified = !incoming.sha256 || digest === incoming.sha256;
+    if (!verified) {
+      this.notify('error', `${incoming.name} failed verification`);
+    } else if (!incoming.sha256) {
+      this.notify('info', `${incoming.name} arrived, but the sender's checksum didn't, it is unverified`);
+    }
+
+    // In-memory sinks hand back a Blob, disk sinks have already saved the file
+    const finish = verified ? incoming.sink.close() : incoming.sink.abort().then(() => undefined);
+    finish.then(async blob => {
+      // Keep what we can read back so we can serve the file to others
+      const seedFile = verified ? (blob || await incoming.sink.getFile?.().catch(() => null)) : null;
+      this.updateTransfer(fileId, {
+        progress: 100,
+        status: verified ? 'complete' : 'corrupt',
+        // Unverified when the sender's digest never came, nothing says the file is intact then
+        integrity: incoming.sha256 ? (verified ? 'verified' : 'corrupt') : 'unverified',
+        blob: blob || undefined,
+        savedToDisk: verified && !blob,
+        pendingFile: seedFile || undefined,
+      });
+      if (seedFile) {
+        this.advertiseSource(fileId, seedFile);
+      }
+    }).catch(err => {
+      console.error('Failed to save file:', err);
+      this.updateTransfer(fileId, { status: 'error' });
+      this.notify('error', `Failed to save ${incoming.name}`);
+    });
+  }
+
+  // Ask a source for the next range of a download nobody is sending yet
+  // With a single source that is the whole rest of the file, with several
+  // it is BLOCK_SIZE at a time so faster sources end up sending more
+  requestNextRange(fileId, dc) {
+    const incoming = this.incoming[fileId];
+    if (!incoming || incoming.paused || dc.readyState !== 'open') return;
+    incoming.assignments.delete(dc);
+
+    // A slow source holds up writing while the others' chunks pile up in memory. Past
+    // MAX_PENDING_BYTES this source takes over the slow one's range instead of starting a new one
+    if (incoming.pending.size * incoming.chunkSize >= MAX_PENDING_BYTES) {
+      const stalled = [...incoming.assignments].find(([, { from, to }]) =>
+        from <= incoming.writtenUpTo && incoming.writtenUpTo < to);
+      if (stalled) {
+        const [slow, { from, to }] = stalled;
+        incoming.assignments.delete(slow);
+        if (slow.readyState === 'open') {
+          slow.send(JSON.stringify({ type: 'file-cancel', id: fileId, from, to }));
+        }
+        incoming.orphans.unshift({ from, to });
+      } else if (!incoming.orphans.some(({ from, to }) => from <= incoming.writtenUpTo && incoming.writtenUpTo < to)) {
+        // Waiting for a single re-requested chunk, ask again once the backlog is written
+        incoming.waiting = true;
+        return;
+      }
+    }
+
+    const blockSize = this.getOpenSources(fileId).length > 1 ? BLOCK_SIZE / incoming.chunkSize : incoming.totalChunks;
+    while (incoming.orphans.length > 0 || incoming.nextChunk < incoming.totalChunks) {
+      let from;
+      let to;
+      if (incoming.orphans.length > 0) {
+        ({ from, to } = incoming.orphans.shift());
+      } else {
+        from = incoming.nextChunk;
+        to = Math.min(from + blockSize, incoming.totalChunks);
+        incoming.nextChunk = to;
+      }
+
+      // Skip what already arrived (e.g. before a reconnect)
+      while (from < to && hasChunk(incoming, from)) from++;
+      let missing = 0;
+      for (let i = from; i < to; i++) {
+        if (!hasChunk(incoming, i)) missing++;
+      }
+      if (missing === 0) continue;
+
+      incoming.assignments.set(dc, { from, to, missing });
+      dc.send(JSON.stringify({ type: 'file-request', id: fileId, from, to, chunkSize: incoming.chunkSize }));
+      return;
+    }
+  }
+
+  // Give the next range to every source of a download that isn't sending one
+  requestIdleSources(fileId, except) {
+    const incoming = this.incoming[fileId];
+    this.getOpenSources(fileId)
+      .filter(source => source !== except && !incoming.assignments.has(source))
+      .forEach(source => this.requestNextRange(fileId, source));
+  }
+
+  // Host: ask a guest that has a file for a chunk range on behalf of another guest
+  // in the chunk size the requester asked for, compressed only with codecs it can decode
+  relayRequest(fileId, target, from, to, chunkSize) {
+    const sources = this.getOpenSources(fileId).filter(dc => dc !== target);
+    // Prefer a source whose channel carries chunks of that size
+    const source = sources.find(dc => chunkSizeFor(this.channel(dc).peerConnection?.sctp?.maxMessageSize) >= chunkSize)
+      || sources[0];
+    if (!source) {
+      console.warn(`No source left to relay ${fileId}`);
+      return;
+    }
+    const codecs = this.channel(target).codecs || [];
+    (this.relays[fileId] ||= []).push({ target, source, from, to, chunkSize, codecs, missing: to - from });
+    // The source only sees us, tell it who the range is for
+    const requester = this.roster.find(peer => peer.channel === target)?.username;
+    source.send(JSON.stringify({ type: 'file-request', id: fileId, from, to, chunkSize, codecs, requester }));
+  }
+
+  // Host: whether chunks of a stream are of the size a relayed guest asked for, in a codec it decodes
+  relayCarries(relay, stream) {
+    return relay.chunkSize === stream.chunkSize && (!stream.codec || relay.codecs.includes(stream.codec));
+  }
+
+  // Host: forward a relayed chunk to the guests whose range it falls in
+  forwardRelayedChunk(stream, chunkIndex, frame) {
+    const fileId = stream.id;
+    const relays = this.relays[fileId];
+    if (!relays) return;
+    relays.forEach(relay => {
+      if (this.relayCarries(relay, stream) && chunkIndex >= relay.from && chunkIndex < relay.to &&
+        relay.target.readyState === 'open') {
+        // Same frame under the stream ID the guest knows the file by
+        const forwarded = frame.slice(0);
+        new DataView(forwarded).setUint16(1, this.getStreamId(relay.target, fileId, stream.chunkSize, stream.codec));
+        this.sendBinary(relay.target, forwarded).catch(console.error);
+        relay.missing--;
+      }
+    });
+    const remaining = relays.filter(relay => relay.missing > 0 && relay.target.readyState === 'open');
+    if (remaining.length > 0) {
+      this.relays[fileId] = remaining;
+    } else {
+      delete this.relays[fileId];
+    }
+  }
+
+  // Progress of a file's running uploads per recipient, with their combined speed and time left
+  // (the file's row shows the slowest recipient's ETA) and how much compression saves
+  getUploadStats(fileId) {
+    const byRecipient = new Map();
+    let sentBytes = 0;
+    let wireBytes = 0;
+    this.uploads[fileId]?.forEach(upload => {
+      if (upload.stopped) return;
+      sentBytes += upload.sentBytes;
+      wireBytes += upload.wireBytes;
+      const entry = byRecipient.get(upload.recipient) || { name: upload.recipient, sent: 0, total: 0, speed: 0 };
+      entry.sent += upload.sentBytes;
+      entry.total += upload.totalBytes;
+      entry.speed += upload.meter.rate();
+      byRecipient.set(upload.recipient, entry);
+    });
+    const recipients = [...byRecipient.values()].map(recipient => ({
+      ...recipient,
+      eta: estimateSeconds(recipient.total - recipient.sent, recipient.speed),
+    }));
+    const etas = recipients.map(recipient => recipient.eta);
+    return {
+      recipients,
+      speed: recipients.reduce((sum, recipient) => sum + recipient.speed, 0),
+      eta: etas.length > 0 && !etas.includes(null) ? Math.max(...etas) : null,
+      // Kept from the last uploads once they are done
+      ...(wireBytes > 0 && { compressionRatio: sentBytes / wireBytes }),
+    };
+  }
+
+  // Stop sending a file over a channel (one range of it, or all), returns the stopped uploads
+  stopUploads(fileId, dc, from, to) {
+    const stopped = [];
+    this.uploads[fileId]?.forEach(upload => {
+      if ((!dc || upload.dc === dc) && (from === undefined || (upload.from === from && upload.to === to))) {
+        upload.stopped = true;
+        stopped.push(upload);
+      }
+    });
+    return stopped;
+  }
+
+  // Host: a guest stopped a range we relay (cancel it at the source),
+  // or the source stopped sending (pass that on to the guests waiting for it)
+  stopRelays(msg, dc) {
+    const relays = this.relays[msg.id];
+    if (!relays) return;
+    const stopped = relays.filter(relay => relay.source === dc ||
+      (relay.target === dc && (msg.from === undefined || (relay.from === msg.from && relay.to === msg.to))));
+    stopped.forEach(relay => {
+      const notify = relay.target === dc ? relay.source : relay.target;
+      const type = relay.target === dc ? 'file-cancel' : msg.type;
+      if (notify.readyState === 'open') {
+        notify.send(JSON.stringify({ type, id: msg.id, from: relay.from, to: relay.to }));
+      }
+    });
+    const remaining = relays.filter(relay => !stopped.includes(relay));
+    if (remaining.length > 0) {
+      this.relays[msg.id] = remaining;
+    } else {
+      delete this.relays[msg.id];
+    }
+  }
+
+  // Receiver: a source stopped sending its range. Other sources take it over, otherwise
+  // the download waits for the sender to offer it again (paused) or is dropped (cancelled)
+  handleSourceStopped(fileId, dc, cancelled) {
+    const incoming = this.incoming[fileId];
+    const assignment = incoming?.assignments.get(dc);
+    if (!assignment) return;
+    incoming.assignments.delete(dc);
+    incoming.orphans.push({ from: assignment.from, to: assignment.to });
+    this.requestIdleSources(fileId, dc);
+    if (incoming.assignments.size > 0) return;
+
+    if (cancelled) {
+      this.abortDownload(fileId);
+      this.notify('error', `The sender stopped sending ${incoming.name}`);
+    } else {
+      this.updateTransfer(fileId, { status: 'paused' });
+      this.notify('info', `${incoming.name} was paused by the sender`);
+    }
+  }
+
+  // Receiver: drop a download and the chunks received so far, it can be downloaded again
+  abortDownload(fileId) {
+    const incoming = this.incoming[fileId];
+    if (!incoming) return;
+    delete this.incoming[fileId];
+    incoming.sink.abort().catch(console.error);
+    this.updateTransfer(fileId, { status: 'available', progress: 0, pausedByUser: false });
+  }
+
+  // Receiver: ask every source to stop sending, their ranges are kept to ask for again
+  cancelSources(fileId) {
+    const incoming = this.incoming[fileId];
+    incoming.assignments.forEach(({ from, to }, dc) => {
+      if (dc.readyState === 'open') {
+        dc.send(JSON.stringify({ type: 'file-cancel', id: fileId, from, to }));
+      }
+      incoming.orphans.push({ from, to });
+    });
+    incoming.assignments.clear();
+  }
+
+  // Mark transfers running over a closed channel as paused so they can resume later
+  // Downloads with other sources left carry on, the closed source's range goes to them
+  pauseTransfers(dc) {
+    const paused = new Set();
+    Object.entries(this.incoming).forEach(([fileId, incoming]) => {
+      const assignment = incoming.assignments.get(dc);
+      if (assignment) {
+        incoming.assignments.delete(dc);
+        incoming.orphans.push({ from: assignment.from, to: assignment.to });
+      }
+      const sources = this.getOpenSources(fileId).filter(source => source !== dc);
+      // Everything arrived, but the digest can't any more - done, unverified
+      if (sources.length === 0 && incoming.digestTimer) {
+        this.finishDownload(fileId, incoming);
+        return;
+      }
+      if (sources.length === 0) {
+        paused.add(fileId);
+        return;
+      }
+      this.requestIdleSources(fileId, dc);
+    });
+
+    this.setTransfers(this.transfers.map(t => {
+      if (t.direction === 'in' && paused.has(t.id)) {
+        return { ...t, status: 'paused' };
+      }
+      if (t.direction === 'out' && t.status === 'transferring' && t._targetChannel === dc) {
+        return { ...t, status: 'paused' };
+      }
+      return t;
+    }));
+  }
+
+  // Receiver: stop a download but keep what arrived, resuming asks for the rest
+  pauseDownload(fileId) {
+    const incoming = this.incoming[fileId];
+    if (!incoming) return;
+    incoming.paused = true;
+    this.cancelSources(fileId);
+    this.updateTransfer(fileId, { status: 'paused', pausedByUser: true });
+  }
+
+  // Receiver: ask the sources for the rest of a paused download, false if none is connected
+  resumeDownload(fileId) {
+    const incoming = this.incoming[fileId];
+    if (!incoming) return true;
+    const sources = this.getOpenSources(fileId);
+    if (sources.length === 0) return false;
+    incoming.paused = false;
+    this.updateTransfer(fileId, { status: 'resuming', pausedByUser: false });
+    sources.forEach(dc => this.requestNextRange(fileId, dc));
+    return true;
+  }
+
+  // Receiver: stop a download and throw away what arrived
+  cancelDownload(fileId) {
+    if (!this.incoming[fileId]) return;
+    this.cancelSources(fileId);
+    this.abortDownload(fileId);
+  }
+
+  // Sender: stop sending one of our files to everyone, receivers keep what they have
+  pauseUpload(fileId) {
+    this.updateTransfer(fileId, { pausedByUser: true }, 'out');
+    this.stopUploads(fileId).forEach(upload => {
+      if (upload.dc.readyState === 'open') {
+        upload.dc.send(JSON.stringify({ type: 'file-pause', id: fileId, from: upload.from, to: upload.to }));
+      }
+    });
+    this.updateTransfer(fileId, { status: 'paused' }, 'out');
+  }
+
+  // Sender: offering the file again makes waiting receivers ask for the rest
+  resumeUpload(fileId) {
+    this.updateTransfer(fileId, { status: 'available', pausedByUser: false }, 'out');
+    this.advertiseSource(fileId, this.findTransfer(fileId)?.pendingFile);
+  }
+
+  // Sender: stop sending one of our files, receivers drop what they have
+  cancelUpload(fileId) {
+    this.stopUploads(fileId).forEach(upload => {
+      if (upload.dc.readyState === 'open') {
+        upload.dc.send(JSON.stringify({ type: 'file-cancel', id: fileId, from: upload.from, to: upload.to }));
+      }
+    });
+    this.updateTransfer(fileId, { status: 'available', progress: 0, pausedByUser: false }, 'out');
+  }
+
+  // Sender: we know what our file hashes to, receivers check what they assemble against it.
+  // It goes out in our offer, which everyone gets and the host passes on from us
+  publishDigest(fileId, digest) {
+    this.digests[fileId] ||= Promise.resolve(digest);
+    const own = this.transfers.find(t => t.id === fileId && t.direction === 'out');
+    if (!own || own.sha256 === digest) return;
+    this.updateTransfer(fileId, { sha256: digest }, 'out');
+    this.advertiseSource(fileId, own.pendingFile);
+  }
+
+  // Sender: a failed send is hashed again and offered again
+  retryUpload(fileId) {
+    delete this.digests[fileId];
+    this.updateTransfer(fileId, { status: 'available' }, 'out');
+    this.advertiseSource(fileId, this.findTransfer(fileId)?.pendingFile);
+  }
+
+  // Sender: move an upload ahead of (direction 1) or behind (-1) the next one in line,
+  // uploads with the same priority share the channel
+  moveUpload(fileId, direction) {
+    const current = this.findTransfer(fileId)?.priority || 0;
+    const others = this.transfers
+      .filter(t => t.direction === 'out' && t.status === 'transferring' && t.id !== fileId)
+      .map(t => t.priority || 0);
+    const passed = others.filter(p => (direction > 0 ? p >= current : p <= current));
+    if (passed.length === 0) return;
+    const priority = direction > 0 ? Math.min(...passed) + 1 : Math.max(...passed) - 1;
+    this.updateTransfer(fileId, { priority });
+  }
+
+  // Send a range of a file to the peer that requested it
+  // startChunk/endChunk select the range the receiver asked for (resuming, or one of several sources),
+  // counted in chunks of the size the receiver picked for its channel. requester and codecs are
+  // who the range is for and what they decode when the host relays it, otherwise the peer on the channel's
+  async sendFileData(fileId, file, dc, startChunk = 0, endChunk = undefined,
+    { chunkSize = CHUNK_SIZE, requester, codecs } = {}) {
+    if (dc.readyState !== 'open') {
+      this.notify('error', 'Not connected');
+      return;
+    }
+
+    const totalChunks = Math.ceil(file.size / chunkSize);
+    const lastChunk = Math.min(endChunk ?? totalChunks, totalChunks);
+
+    // Re-seeding a file we downloaded leaves its record as it is, only our own files show upload state
+    const updateOwnTransfer = (changes) => this.updateTransfer(fileId, changes, 'out');
+
+    // Registered so a pause or cancel from either side can stop this range,
+    // and for the per-recipient progress of the file
+    const upload = {
+      fileId,
+      dc,
+      from: startChunk,
+      to: lastChunk,
+      stopped: false,
+      recipient: requester || this.roster.find(peer => peer.channel === dc)?.username || 'peer',
+      sentBytes: 0,
+      wireBytes: 0, // sentBytes after compression
+      totalBytes: Math.min(lastChunk * chunkSize, file.size) - startChunk * chunkSize,
+      meter: createRateMeter(),
+    };
+    (this.uploads[fileId] ||= new Set()).add(upload);
+    const finishUpload = () => {
+      this.uploads[fileId]?.delete(upload);
+      updateOwnTransfer(() => this.getUploadStats(fileId));
+    };
+
+    // Our own files are hashed while they are sent, so the first chunk doesn't wait for it.
+    // The digest goes out right before the last chunk. A range of the file is hashed next
+    // to sending it, from the start of the file
+    const own = this.transfers.some(t => t.id === fileId && t.direction === 'out');
+    let hasher = null;
+    if (own && !this.digests[fileId]) {
+      if (startChunk === 0 && lastChunk === totalChunks) {
+        hasher = new Sha256();
+      } else {
+        this.digests[fileId] = sha256File(file);
+        this.digests[fileId].then(digest => this.publishDigest(fileId, digest)).catch(err => {
+          console.error('Error hashing file:', err);
+          delete this.digests[fileId];
+        });
+      }
+    }
+
+    // Update status to transferring (keep pendingFile so file can be re-sent to other peers)
+    updateOwnTransfer({ status: 'transferring', _targetChannel: dc });
+
+    // Send file-start message so receiver prepares to receive chunks
+    const codec = this.chooseCodec(file, dc, codecs);
+    const streamId = this.getStreamId(dc, fileId, chunkSize, codec);
+    dc.send(JSON.stringify({
+      type: 'file-start',
+      id: fileId,
+      stream: streamId,
+      chunkSize,
+      codec,
+      name: file.name,
+      size: file.size,
+      mimeType: file.type,
+      from: startChunk,
+      to: lastChunk,
+    }));
+
+    // Send chunks, interleaved with other uploads on this channel by its scheduler
+    const reader = file.slice(startChunk * chunkSize, lastChunk * chunkSize).stream().getReader();
+    let chunkIndex = startChunk;
+    let buffer = new Uint8Array(0);
+    let lastChunkLength = 0;
+    let lastWireLength = 0;
+    let compressing = Boolean(codec);
+
+    // Next chunk frame of this range, null when it has all been read
+    const nextFrame = async () => {
+      // Fill buffer if needed
+      while (buffer.length < chunkSize) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const newBuffer = new Uint8Array(buffer.length + value.length);
+        newBuffer.set(buffer);
+        newBuffer.set(value, buffer.length);
+        buffer = newBuffer;
+      }
+
+      if (buffer.length === 0) return null;
+
+      // Extract chunk
+      const chunkData = buffer.slice(0, chunkSize);
+      buffer = buffer.slice(chunkSize);
+      lastChunkLength = chunkData.length;
+      if (hasher) {
+        hasher.update(chunkData);
+        if (chunkIndex === lastChunk - 1) this.publishDigest(fileId, toHex(hasher.digest()));
+      }
+
+      // Compressed when it gets smaller, stop trying once the file turns out not to shrink
+      let payload = chunkData;
+      if (compressing) {
+        const compressed = await compressBytes(codec, chunkData);
+        if (compressed.length < chunkData.length) payload = compressed;
+        if (upload.sentBytes >= COMPRESSION_SAMPLE && upload.wireBytes > upload.sentBytes * MAX_COMPRESSED_SHARE) {
+          compressing = false;
+        }
+      }
+      lastWireLength = payload.length;
+      return buildChunkMessage(streamId, chunkIndex, chunkData, payload);
+    };
+
+    const sendChunks = async () => {
+      const sent = await this.getScheduler(dc).add(upload, {
+        next: nextFrame,
+        cancel: () => reader.cancel(),
+        onSent: () => {
+          chunkIndex++;
+          upload.sentBytes += lastChunkLength;
+          upload.wireBytes += lastWireLength;
+          upload.meter.add(lastChunkLength);
+          // Update progress with bytes uploaded
+          const progress = Math.round((chunkIndex / totalChunks) * 100);
+          const uploadedBytes = Math.min(chunkIndex * chunkSize, file.size);
+          updateOwnTransfer(() => ({ progress, uploadedBytes, ...this.getUploadStats(fileId) }));
+        },
+      });
+
+      // Channel dropped mid-transfer - receiver will ask to resume after reconnecting.
+      // Stopped - paused or cancelled by us or the receiver, the record was updated by whoever stopped it
+      if (!sent) {
+        // A receiver cancelling leaves nothing to show if no one else is downloading the file
+        const othersActive = [...this.uploads[fileId]].some(other => other !== upload && !other.stopped);
+        if (upload.stopped && !othersActive) {
+          updateOwnTransfer(t => (t.status === 'transferring' ? { status: 'available' } : {}));
+        }
+        return;
+      }
+
+      // Part of a file fetched from several sources - only the range
+      // that ends the file counts as an upload
+      if (lastChunk < totalChunks) {
+        updateOwnTransfer(t => (t.status === 'transferring' ? { status: 'available' } : {}));
+        return;
+      }
+
+      // Mark complete and tell everyone how often the file was sent
+      const own = this.transfers.find(t => t.id === fileId && t.direction === 'out');
+      if (!own) return;
+      const uploadCount = (own.uploadCount || 0) + 1;
+      updateOwnTransfer({ progress: 100, status: 'complete', uploadCount });
+      const countMsg = JSON.stringify({ type: 'upload-count', id: fileId, count: uploadCount });
+      this.channels.forEach(channel => {
+        if (channel.readyState === 'open') {
+          channel.send(countMsg);
+        }
+      });
+    };
+
+    try {
+      await sendChunks();
+    } catch (err) {
+      console.error('Error sending file:', err);
+      updateOwnTransfer({ status: 'error' });
+      this.notify('error', `Failed to send ${file.name}`);
+    } finally {
+      finishUpload();
+    }
+  }
+
+  // Re-send a single chunk the receiver reported as corrupted
+  // (uncompressed, on the stream its range was announced on)
+  async resendChunk(fileId, file, chunkIndex, dc, chunkSize, codecs) {
+    try {
+      const start = chunkIndex * chunkSize;
+      const chunkData = new Uint8Array(await file.slice(start, start + chunkSize).arrayBuffer());
+      const streamId = this.getStreamId(dc, fileId, chunkSize, this.chooseCodec(file, dc, codecs));
+      await this.sendBinary(dc, buildChunkMessage(streamId, chunkIndex, chunkData));
+    } catch (err) {
+      console.error('Error re-sending chunk:', err);
+    }
+  }
+}
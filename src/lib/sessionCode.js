@@ -0,0 +1,12 @@
+// Session codes and the signaling tag hosts publish their offers under,
+// shared by the page and the command line
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No I,O,0,1
+
+// Generate 6-char session code
+export const generateCode = () => Array.from({ length: 6 }, () =>
+  CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]
+).join('');
+
+// Create session tag from code
+export const codeToTag = (code) => `drop.ronde.vu-${code.toLowerCase()}`;
@@ -0,0 +1,78 @@
+// Password handling for protected sessions
+// The password never crosses the data channel: the host sends a random nonce
+// and the guest proves knowledge of the password with an HMAC over it.
+// Once admitted, both sides derive the same AES-GCM key from the password to
+// encrypt chat and file chunks on top of DTLS (TURN relays never see plaintext).
+// Everything works on keys derived once per session, which can't be exported,
+// so a session can be kept without keeping its password
+
+const PBKDF2_ITERATIONS = 100000;
+const NONCE_SIZE = 32;
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+
+// Bytes encryptBytes adds to a message (IV in front, GCM tag at the end)
+export const ENCRYPTION_OVERHEAD = IV_SIZE + TAG_SIZE;
+
+const encoder = new TextEncoder();
+
+export const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+};
+
+export const fromBase64 = (str) => Uint8Array.from(atob(str), c => c.charCodeAt(0));
+
+// Stretch the password with the session code as salt, so a captured
+// challenge/response pair is expensive to brute-force offline.
+// purpose keeps the authentication and encryption keys independent
+const deriveKey = async (password, sessionCode, purpose, algorithm, usages) => {
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: encoder.encode(`rondevu-${purpose}:${sessionCode}`), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    algorithm,
+    false,
+    usages,
+  );
+};
+
+// The keys a password stands for in a session: auth (HMAC) answers and checks challenges,
+// session (AES-GCM) encrypts payloads
+export const derivePasswordKeys = async (password, sessionCode) => ({
+  auth: await deriveKey(password, sessionCode, 'auth', { name: 'HMAC', hash: 'SHA-256' }, ['sign', 'verify']),
+  session: await deriveKey(password, sessionCode, 'enc', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+});
+
+// Encrypt bytes, output is IV (12) + ciphertext with auth tag
+export const encryptBytes = async (key, bytes) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_SIZE));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  const out = new Uint8Array(IV_SIZE + ciphertext.byteLength);
+  out.set(iv);
+  out.set(new Uint8Array(ciphertext), IV_SIZE);
+  return out;
+};
+
+// Decrypt the output of encryptBytes, throws if it was tampered with
+export const decryptBytes = (key, bytes) =>
+  crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, IV_SIZE) }, key, bytes.subarray(IV_SIZE));
+
+// Host: random nonce to send in a password-challenge
+export const createChallenge = () => toBase64(crypto.getRandomValues(new Uint8Array(NONCE_SIZE)));
+
+// Guest: HMAC over the host's nonce with the auth key
+export const answerChallenge = async (authKey, nonce) => {
+  const signature = await crypto.subtle.sign('HMAC', authKey, fromBase64(nonce));
+  return toBase64(signature);
+};
+
+// Host: check the guest's HMAC (constant-time comparison via subtle.verify)
+export const verifyChallenge = async (authKey, nonce, response) => {
+  try {
+    return await crypto.subtle.verify('HMAC', authKey, fromBase64(response), fromBase64(nonce));
+  } catch (err) {
+    return false; // Malformed response
+  }
+};
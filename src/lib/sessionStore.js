@@ -0,0 +1,168 @@
+// Host session persistence in IndexedDB, so a page refresh doesn't end the session
+//   sessions - { code, passwordKeys, chatMessages, peers, savedAt }, one per session code,
+//              passwordKeys are the non-extractable CryptoKeys of its password (never the password)
+//   files    - { id, code, name, size, mimeType, path, handle?, file? }, the files the host shares
+// Files are kept as a FileSystemFileHandle when the browser gave us one (access has to be
+// granted again after a reload), otherwise by value when they are small enough.
+// Sessions older than SESSION_MAX_AGE are dropped with their files whenever the database opens
+
+const DB_NAME = 'rondevu-drop';
+const DB_VERSION = 2; // 2: passwordKeys instead of the password
+const STORED_FILE_LIMIT = 64 * 1024 * 1024; // Larger files without a handle have to be shared again
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+// Delete sessions that are too old to restore, then the files of sessions that are gone
+const pruneSessions = (db) => new Promise((resolve, reject) => {
+  const tx = db.transaction(['sessions', 'files'], 'readwrite');
+  const live = new Set();
+  tx.objectStore('sessions').openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) {
+      if (Date.now() - cursor.value.savedAt > SESSION_MAX_AGE) {
+        cursor.delete();
+      } else {
+        live.add(cursor.key);
+      }
+      cursor.continue();
+      return;
+    }
+    const files = tx.objectStore('files');
+    files.index('code').openKeyCursor().onsuccess = (event) => {
+      const fileCursor = event.target.result;
+      if (!fileCursor) return;
+      if (!live.has(fileCursor.key)) files.delete(fileCursor.primaryKey);
+      fileCursor.continue();
+    };
+  };
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore('sessions', { keyPath: 'code' });
+          db.createObjectStore('files', { keyPath: 'id' }).createIndex('code', 'code');
+        } else if (event.oldVersion < 2) {
+          // Sessions saved with their password in plaintext are dropped, their files go when pruning
+          request.transaction.objectStore('sessions').clear();
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        pruneSessions(db)
+          .catch(err => console.error('Failed to prune saved sessions:', err))
+          .then(() => resolve(db));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn inside a transaction, resolves with what fn returns once the transaction commits
+// (an IDBRequest resolves with its result)
+const withStores = async (names, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const result = fn(tx);
+    tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// passwordKeys: the session's derivePasswordKeys (lib/sessionCrypto), null when it has no password
+export const saveHostSession = ({ code, passwordKeys, chatMessages, peers }) =>
+  withStores(['sessions'], 'readwrite', tx => {
+    tx.objectStore('sessions').put({ code, passwordKeys, chatMessages, peers, savedAt: Date.now() });
+  });
+
+export const saveSharedFile = (code, { id, file, path, handle }) =>
+  withStores(['files'], 'readwrite', tx => {
+    const record = { id, code, name: file.name, size: file.size, mimeType: file.type, path };
+    if (handle) {
+      record.handle = handle;
+    } else if (file.size <= STORED_FILE_LIMIT) {
+      record.file = file;
+    }
+    tx.objectStore('files').put(record);
+  });
+
+export const removeSharedFile = (id) =>
+  withStores(['files'], 'readwrite', tx => {
+    tx.objectStore('files').delete(id);
+  });
+
+export const clearHostSession = (code) =>
+  withStores(['sessions', 'files'], 'readwrite', tx => {
+    tx.objectStore('sessions').delete(code);
+    const files = tx.objectStore('files');
+    files.index('code').openKeyCursor(IDBKeyRange.only(code)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (cursor) {
+        files.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  });
+
+// The saved session for a code with its file records, null if there is none (or it is too old)
+export const loadHostSession = async (code) => {
+  const session = await withStores(['sessions'], 'readonly', tx => tx.objectStore('sessions').get(code));
+  if (!session) return null;
+  if (Date.now() - session.savedAt > SESSION_MAX_AGE) {
+    await clearHostSession(code);
+    return null;
+  }
+  const files = await withStores(['files'], 'readonly', tx =>
+    tx.objectStore('files').index('code').getAll(IDBKeyRange.only(code))
+  );
+  return { ...session, files };
+};
+
+// Turn saved file records back into shareable { id, file, path, handle } entries.
+// Handles whose permission has to be asked for again (needs a user gesture) come back
+// in needPermission, records we couldn't keep the data of in lost.
+export const restoreSharedFiles = async (records) => {
+  const files = [];
+  const needPermission = [];
+  const lost = [];
+  for (const record of records) {
+    if (record.handle) {
+      const permission = await record.handle.queryPermission?.({ mode: 'read' });
+      if (permission === 'granted') {
+        files.push({ id: record.id, file: await record.handle.getFile(), path: record.path, handle: record.handle });
+      } else {
+        needPermission.push(record);
+      }
+    } else if (record.file) {
+      files.push({ id: record.id, file: record.file, path: record.path });
+    } else {
+      lost.push(record);
+    }
+  }
+  return { files, needPermission, lost };
+};
+
+// Ask for read access to saved handles again, must be called from a user gesture
+export const requestFileAccess = async (records) => {
+  const files = [];
+  for (const record of records) {
+    try {
+      if (await record.handle.requestPermission({ mode: 'read' }) === 'granted') {
+        files.push({ id: record.id, file: await record.handle.getFile(), path: record.path, handle: record.handle });
+      }
+    } catch (err) {
+      console.error(`Failed to reopen ${record.name}:`, err);
+    }
+  }
+  return files;
+};
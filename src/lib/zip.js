@@ -0,0 +1,197 @@
+// Streaming ZIP writer
+// Entries are stored (no compression) and written one after another straight
+// into a file sink, so an archive of any size never has to fit in memory.
+// Sizes and CRCs follow each entry in a data descriptor, ZIP64 records are
+// added where sizes or offsets pass 4 GB
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+const updateCrc = (crc, bytes) => {
+  let c = crc ^ MAX_32;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ MAX_32) >>> 0;
+};
+
+// Little-endian record builder
+const record = (size, fill) => {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  fill({
+    u16: (v) => { view.setUint16(offset, v, true); offset += 2; },
+    u32: (v) => { view.setUint32(offset, v, true); offset += 4; },
+    u64: (v) => { view.setBigUint64(offset, BigInt(v), true); offset += 8; },
+    bytes: (b) => { bytes.set(b, offset); offset += b.length; },
+  });
+  return bytes;
+};
+
+// MS-DOS date and time fields
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const FLAGS = 0x0808; // Data descriptor follows the data, UTF-8 names
+
+// Create a writer on top of a file sink
+// addFile(name, size) returns a sink for that entry, entries must be written one at a time
+// close() writes the central directory and closes the underlying sink
+export const createZipWriter = (sink) => {
+  const encoder = new TextEncoder();
+  const entries = [];
+  const { time, date } = dosDateTime(new Date());
+  let offset = 0;
+
+  const write = (bytes) => {
+    sink.write(bytes);
+    offset += bytes.length;
+  };
+
+  const addFile = (name, size) => {
+    const nameBytes = encoder.encode(name);
+    const zip64 = size >= MAX_32;
+    const entry = { nameBytes, zip64, offset, crc: 0, size: 0 };
+    entries.push(entry);
+
+    // Local file header, sizes are in the data descriptor
+    const extraLength = zip64 ? 20 : 0;
+    write(record(30 + nameBytes.length + extraLength, (r) => {
+      r.u32(0x04034b50);
+      r.u16(zip64 ? 45 : 20);
+      r.u16(FLAGS);
+      r.u16(0); // Stored
+      r.u16(time);
+      r.u16(date);
+      r.u32(0);
+      r.u32(zip64 ? MAX_32 : 0);
+      r.u32(zip64 ? MAX_32 : 0);
+      r.u16(nameBytes.length);
+      r.u16(extraLength);
+      r.bytes(nameBytes);
+      if (zip64) {
+        r.u16(0x0001);
+        r.u16(16);
+        r.u64(0);
+        r.u64(0);
+      }
+    }));
+
+    return {
+      kind: 'zip',
+      write: (chunk) => {
+        entry.crc = updateCrc(entry.crc, chunk);
+        entry.size += chunk.length;
+        write(chunk);
+      },
+      close: async () => {
+        write(record(zip64 ? 24 : 16, (r) => {
+          r.u32(0x08074b50);
+          r.u32(entry.crc);
+          if (zip64) {
+            r.u64(entry.size);
+            r.u64(entry.size);
+          } else {
+            r.u32(entry.size);
+            r.u32(entry.size);
+          }
+        }));
+        return null;
+      },
+      // Bytes already streamed out can't be taken back, the whole archive is aborted
+      abort: () => sink.abort(),
+    };
+  };
+
+  const close = async () => {
+    const directoryOffset = offset;
+
+    entries.forEach(entry => {
+      // ZIP64 extra field holds whichever values don't fit in 32 bits
+      const bigSize = entry.zip64 || entry.size >= MAX_32;
+      const bigOffset = entry.offset >= MAX_32;
+      const extraLength = (bigSize || bigOffset) ? 4 + (bigSize ? 16 : 0) + (bigOffset ? 8 : 0) : 0;
+
+      write(record(46 + entry.nameBytes.length + extraLength, (r) => {
+        r.u32(0x02014b50);
+        r.u16(45);
+        r.u16(extraLength ? 45 : 20);
+        r.u16(FLAGS);
+        r.u16(0);
+        r.u16(time);
+        r.u16(date);
+        r.u32(entry.crc);
+        r.u32(bigSize ? MAX_32 : entry.size);
+        r.u32(bigSize ? MAX_32 : entry.size);
+        r.u16(entry.nameBytes.length);
+        r.u16(extraLength);
+        r.u16(0); // Comment length
+        r.u16(0); // Disk number
+        r.u16(0); // Internal attributes
+        r.u32(0); // External attributes
+        r.u32(bigOffset ? MAX_32 : entry.offset);
+        r.bytes(entry.nameBytes);
+        if (extraLength) {
+          r.u16(0x0001);
+          r.u16(extraLength - 4);
+          if (bigSize) {
+            r.u64(entry.size);
+            r.u64(entry.size);
+          }
+          if (bigOffset) r.u64(entry.offset);
+        }
+      }));
+    });
+
+    const directorySize = offset - directoryOffset;
+    const zip64 = entries.length >= MAX_16 || directoryOffset >= MAX_32 || directorySize >= MAX_32;
+
+    if (zip64) {
+      const zip64EndOffset = offset;
+      write(record(56, (r) => {
+        r.u32(0x06064b50);
+        r.u64(44); // Size of the rest of this record
+        r.u16(45);
+        r.u16(45);
+        r.u32(0);
+        r.u32(0);
+        r.u64(entries.length);
+        r.u64(entries.length);
+        r.u64(directorySize);
+        r.u64(directoryOffset);
+      }));
+      write(record(20, (r) => {
+        r.u32(0x07064b50);
+        r.u32(0);
+        r.u64(zip64EndOffset);
+        r.u32(1);
+      }));
+    }
+
+    write(record(22, (r) => {
+      r.u32(0x06054b50);
+      r.u16(0);
+      r.u16(0);
+      r.u16(Math.min(entries.length, MAX_16));
+      r.u16(Math.min(entries.length, MAX_16));
+      r.u32(Math.min(directorySize, MAX_32));
+      r.u32(Math.min(directoryOffset, MAX_32));
+      r.u16(0);
+    }));
+
+    return sink.close();
+  };
+
+  return { addFile, close, abort: () => sink.abort() };
+};
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 /**
- * Test script to connect to @bas's chat service and send a "hello" message
+ * End-to-end test: a host and a guest session connect over real WebRTC data channels,
+ * signaled by the Rondevu client (the same calls the page and the CLI make) through a local
+ * stand-in of the rondevu server, then go through joining with a password, chat and a file
+ * transfer
  *
  * IMPORTANT: This script requires the 'wrtc' package which must be installed separately.
  * See TEST_README.md for detailed installation instructions.
@@ -9,19 +12,25 @@
  *   npm install wrtc
  *   npm test
  *
+ * Set API_URL to signal through a real rondevu server instead of starting the stand-in
+ * (see test/signalingServer.js).
+ *
  * Requirements:
- *   - Node.js 19+ (or Node.js 18 with --experimental-global-webcrypto)
+ *   - Node.js 20+
  *   - wrtc package (requires native compilation)
  *   - Build tools (python, make, g++)
  */
 
-import { Rondevu } from '@xtr-dev/rondevu-client'
+import assert from 'node:assert/strict'
+import { Session } from './src/lib/session.js'
+import { createMemorySink } from './src/lib/fileSink.js'
+import { generateCode } from './src/lib/sessionCode.js'
+import { connectClient, hostSession, joinSession } from './cli/connect.js'
+import { startSignalingServer } from './test/signalingServer.js'
 
-// Import wrtc
-let wrtc
+// Check for wrtc up front, the client needs its WebRTC
 try {
-  const wrtcModule = await import('wrtc')
-  wrtc = wrtcModule.default || wrtcModule
+  await import('wrtc')
 } catch (error) {
   console.error('❌ Error: wrtc package not found or failed to load')
   console.error('\nThe wrtc package is required for WebRTC support in Node.js.')
@@ -32,114 +41,111 @@ try {
   process.exit(1)
 }
 
-const { RTCPeerConnection } = wrtc
-
 // Configuration
-const API_URL = 'https://api.ronde.vu'
-const TARGET_USER = 'bas'
-const SERVICE_FQN = `chat:2.0.0@${TARGET_USER}`
-const MESSAGE = 'hello'
+const CODE = generateCode() // Fresh session tag, so runs against a shared server don't meet
+const PASSWORD = 'correct horse'
+const FILE_SIZE = 512 * 1024 + 7
+const TIMEOUT_MS = 30000
+
+// Resolves with the first value of a session event that passes check
+const waitFor = (session, type, check = () => true) => new Promise(resolve => {
+  const stop = session.on(type, (...args) => {
+    if (check(...args)) {
+      stop()
+      resolve(args[0])
+    }
+  })
+})
 
 async function main() {
-  console.log('🚀 Rondevu Test Script')
+  console.log('🚀 Rondevu End-to-End Test')
   console.log('='.repeat(50))
 
-  try {
-    // 1. Connect to Rondevu
-    console.log('1. Connecting to Rondevu...')
-    const rondevu = await Rondevu.connect({
-      apiUrl: API_URL,
-      username: `test-${Date.now()}`,  // Anonymous test user
-      iceServers: 'rondevu'  // Use official Rondevu TURN/STUN servers
-    })
-
-    console.log(`   ✓ Connected as: ${rondevu.getUsername()}`)
-    console.log(`   ✓ Public key: ${rondevu.getPublicKey()?.substring(0, 20)}...`)
-
-    // 2. Connect to service (automatic setup)
-    console.log(`\n2. Connecting to service: ${SERVICE_FQN}`)
-    let identified = false
-
-    const connection = await rondevu.connectToService({
-      serviceFqn: SERVICE_FQN,
-      onConnection: ({ dc, peerUsername }) => {
-        console.log(`✅ Connected to @${peerUsername}`)
-
-        // Set up message handler
-        dc.addEventListener('message', (event) => {
-          console.log(`📥 RAW DATA:`, event.data)
-          try {
-            const msg = JSON.parse(event.data)
-            console.log(`📥 Parsed message:`, JSON.stringify(msg, null, 2))
-
-            if (msg.type === 'identify_ack' && !identified) {
-              identified = true
-              console.log(`✅ Connection acknowledged by @${msg.from}`)
-
-              // Now send the actual chat message
-              console.log(`📤 Sending chat message: "${MESSAGE}"`)
-              dc.send(JSON.stringify({
-                type: 'message',
-                text: MESSAGE
-              }))
-
-              // Keep connection open longer to see if we get a response
-              setTimeout(() => {
-                console.log('\n✅ Test completed successfully!')
-                connection.dc.close()
-                connection.pc.close()
-                process.exit(0)
-              }, 5000)
-            } else if (msg.type === 'message') {
-              console.log(`💬 @${msg.from || 'peer'}: ${msg.text}`)
-            } else {
-              console.log(`📥 Unknown message type: ${msg.type}`)
-            }
-          } catch (err) {
-            console.log(`📥 Parse error:`, err.message)
-            console.log(`📥 Raw data was:`, event.data)
-          }
-        })
-
-        // Send identify message after channel opens
-        console.log(`📤 Sending identify message...`)
-        const identifyMsg = JSON.stringify({
-          type: 'identify',
-          from: rondevu.getUsername()
-        })
-        dc.send(identifyMsg)
-        console.log(`   ✓ Identify message sent`)
-      }
-    })
-
-    // Monitor connection state
-    connection.pc.onconnectionstatechange = () => {
-      console.log(`   Connection state: ${connection.pc.connectionState}`)
-      if (connection.pc.connectionState === 'failed') {
-        console.error('❌ Connection failed')
-        process.exit(1)
-      }
-    }
-
-    connection.pc.oniceconnectionstatechange = () => {
-      console.log(`   ICE state: ${connection.pc.iceConnectionState}`)
-    }
-
-    console.log('\n⏳ Waiting for messages...')
-
-    // Timeout after 30 seconds
-    setTimeout(() => {
-      if (connection.pc.connectionState !== 'connected') {
-        console.error('❌ Connection timeout')
-        process.exit(1)
-      }
-    }, 30000)
-
-  } catch (error) {
-    console.error('\n❌ Error:', error.message)
-    console.error(error)
+  const timeout = setTimeout(() => {
+    console.error('❌ Test timed out')
+    process.exit(1)
+  }, TIMEOUT_MS)
+
+  // 1. Signaling server
+  const server = process.env.API_URL ? null : await startSignalingServer()
+  const apiUrl = process.env.API_URL || server.url
+  console.log(`1. Signaling through ${apiUrl}`)
+
+  // 2. Host and guest connect
+  console.log('\n2. Connecting host and guest...')
+  const host = new Session({ username: 'test-host', code: CODE, host: true, password: PASSWORD })
+  const guest = new Session({ username: 'test-guest', code: CODE })
+  host.on('join-requests', requests => {
+    if (requests.length > 0) host.admit(requests[0])
+  })
+  guest.on('rejected', reason => {
+    console.error(`❌ Rejected: ${reason}`)
     process.exit(1)
+  })
+
+  const hostClient = await connectClient({ apiUrl, iceServers: [] })
+  const guestClient = await connectClient({ apiUrl, iceServers: [] })
+  await hostSession(hostClient, host)
+  console.log(`   ✓ Host published offers as ${hostClient.getName()}`)
+
+  // 3. Join with the password
+  console.log('\n3. Joining with the password...')
+  const required = waitFor(guest, 'password-required')
+  const connected = waitFor(guest, 'status', status => status === 'connected')
+  await joinSession(guestClient, guest, {
+    onClose: () => {
+      console.error('❌ Connection to the host closed')
+      process.exit(1)
+    }
+  })
+  console.log('   ✓ Data channel open')
+  await required
+  console.log('   ✓ Host asked for the password')
+  assert.equal(guest.submitPassword(PASSWORD), true)
+  await connected
+  assert.deepEqual(host.roster.map(p => p.username), ['test-guest'])
+  assert.equal(guest.isEncrypted(), true)
+  console.log('   ✓ Admitted, session encrypted')
+
+  // 4. Chat both ways
+  console.log('\n4. Chatting...')
+  const toHost = waitFor(host, 'chat', messages => messages.length === 1)
+  guest.sendChat('hello')
+  assert.equal((await toHost)[0].text, 'hello')
+  const toGuest = waitFor(guest, 'chat', messages => messages.length === 2)
+  host.sendChat('hello back')
+  assert.equal((await toGuest)[1].text, 'hello back')
+  console.log('   ✓ Messages arrived on both sides')
+
+  // 5. File transfer
+  console.log('\n5. Sending a file...')
+  const data = new Uint8Array(FILE_SIZE)
+  for (let i = 0; i < data.length; i += 65536) {
+    crypto.getRandomValues(data.subarray(i, Math.min(i + 65536, data.length)))
   }
+  const offered = waitFor(guest, 'transfers', transfers => transfers.length === 1)
+  const { id } = host.shareFile(new File([data], 'random.bin'))
+  await offered
+  const done = waitFor(guest, 'transfers', transfers =>
+    transfers.some(t => t.id === id && ['complete', 'corrupt', 'error'].includes(t.status)))
+  assert.equal(guest.download(id, createMemorySink('application/octet-stream')), true)
+  await done
+  const received = guest.findTransfer(id)
+  assert.equal(received.status, 'complete')
+  assert.equal(received.integrity, 'verified')
+  assert.deepEqual(new Uint8Array(await received.blob.arrayBuffer()), data)
+  console.log(`   ✓ ${FILE_SIZE} bytes arrived intact`)
+
+  host.leave()
+  guest.leave()
+  await server?.close()
+  clearTimeout(timeout)
+  console.log('\n✅ Test completed successfully!')
+  process.exit(0)
 }
 
-main()
+main().catch(error => {
+  console.error('\n❌ Error:', error.message)
+  console.error(error)
+  process.exit(1)
+})
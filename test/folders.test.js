@@ -0,0 +1,35 @@
+// Folder paths from peers: what stays of them inside our folders, archives and picked folders
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { safeRelativePath } from '../src/lib/folders.js';
+import { createDirectorySink } from '../src/lib/fileSink.js';
+
+test('relative paths keep their folders', () => {
+  assert.equal(safeRelativePath('photos/2024/a.jpg'), 'photos/2024/a.jpg');
+  assert.equal(safeRelativePath('photos\\2024\\a.jpg'), 'photos/2024/a.jpg');
+});
+
+test('paths never leave the folder they are saved under', () => {
+  assert.equal(safeRelativePath('../evil.txt'), 'evil.txt');
+  assert.equal(safeRelativePath('photos/../../evil.txt'), 'photos/evil.txt');
+  assert.equal(safeRelativePath('/etc/passwd'), 'etc/passwd');
+  assert.equal(safeRelativePath('C:\\Windows\\evil.dll'), 'Windows/evil.dll');
+  assert.equal(safeRelativePath('./a//b/./c'), 'a/b/c');
+  assert.equal(safeRelativePath('../..'), '');
+});
+
+test('a folder download creates its files inside the picked folder', async () => {
+  // Directory handle stand-in that records the path of everything created under it
+  const created = [];
+  const directory = (at) => ({
+    getDirectoryHandle: async (name) => directory([...at, name]),
+    getFileHandle: async (name) => {
+      created.push([...at, name].join('/'));
+      return { createWritable: async () => ({}) };
+    },
+  });
+  await createDirectorySink(directory([]), '../../photos/../a.jpg');
+  await createDirectorySink(directory([]), '/..');
+  assert.deepEqual(created, ['photos/a.jpg', 'download']);
+});
@@ -0,0 +1,50 @@
+// Chat markdown: formatting, links and what must stay plain text
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdown } from '../src/lib/markdown.js';
+
+const text = (value) => ({ type: 'text', text: value });
+
+test('plain text stays one text node', () => {
+  assert.deepEqual(parseMarkdown('just words, 2 * 3 = 6'), [text('just words, 2 * 3 = 6')]);
+});
+
+test('bold, italic, strikethrough and code nest like markdown', () => {
+  assert.deepEqual(parseMarkdown('**bold _and italic_** ~~gone~~ `a*b*c`'), [
+    { type: 'bold', children: [text('bold '), { type: 'italic', children: [text('and italic')] }] },
+    text(' '),
+    { type: 'strike', children: [text('gone')] },
+    text(' '),
+    { type: 'code', text: 'a*b*c' },
+  ]);
+  assert.deepEqual(parseMarkdown('snake_case_name stays'), [text('snake_case_name stays')]);
+});
+
+test('line breaks and code blocks', () => {
+  assert.deepEqual(parseMarkdown('one\ntwo\n```js\nconst **x** = 1;\n```'), [
+    text('one'),
+    { type: 'break' },
+    text('two'),
+    { type: 'break' },
+    { type: 'code-block', text: 'const **x** = 1;' },
+  ]);
+});
+
+test('URLs become links without the punctuation around them', () => {
+  assert.deepEqual(parseMarkdown('see https://ronde.vu/ABC123, (or https://example.com/a_(b)).'), [
+    text('see '),
+    { type: 'link', href: 'https://ronde.vu/ABC123', children: [text('https://ronde.vu/ABC123')] },
+    text(', (or '),
+    { type: 'link', href: 'https://example.com/a_(b)', children: [text('https://example.com/a_(b)')] },
+    text(').'),
+  ]);
+  assert.deepEqual(parseMarkdown('[the **docs**](https://example.com/docs)'), [
+    { type: 'link', href: 'https://example.com/docs', children: [text('the '), { type: 'bold', children: [text('docs')] }] },
+  ]);
+});
+
+test('unsafe links and markup stay text', () => {
+  assert.deepEqual(parseMarkdown('[click](javascript:alert(1))'), [text('[click](javascript:alert(1))')]);
+  assert.deepEqual(parseMarkdown('<img src=x onerror=alert(1)>'), [text('<img src=x onerror=alert(1)>')]);
+});
@@ -0,0 +1,83 @@
+// In-memory stand-in for two connected RTCDataChannels, so sessions can talk without WebRTC.
+// Messages arrive asynchronously and in order, binary data as an ArrayBuffer (binaryType
+// 'arraybuffer'). intercept(data) on a channel sees everything it sends and can change it,
+// return null to drop a message. hold() keeps a channel's binary messages back (they count as
+// buffered, like on a slow link) until release() delivers them
+
+const toArrayBuffer = (data) => (data instanceof ArrayBuffer
+  ? data.slice(0)
+  : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+
+class MemoryChannel extends EventTarget {
+  constructor(label) {
+    super();
+    this.label = label;
+    this.readyState = 'open';
+    this.binaryType = 'blob';
+    this.bufferedAmount = 0; // Delivery is immediate unless held, only then senders wait for a drain
+    this.bufferedAmountLowThreshold = 0;
+    this.remote = null;
+    this.intercept = null;
+    this.held = null; // Binary messages not delivered yet, while holding
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') {
+      throw new Error(`${this.label} is ${this.readyState}`);
+    }
+    let message = typeof data === 'string' ? data : toArrayBuffer(data);
+    if (this.intercept) {
+      message = this.intercept(message);
+      if (message === null) return;
+    }
+    if (this.held && message instanceof ArrayBuffer) {
+      this.held.push(message);
+      this.bufferedAmount += message.byteLength;
+      return;
+    }
+    this.deliver(message);
+  }
+
+  deliver(message) {
+    setImmediate(() => {
+      if (this.remote.readyState === 'open') {
+        this.remote.dispatchEvent(new MessageEvent('message', { data: message }));
+      }
+    });
+  }
+
+  hold() {
+    this.held ||= [];
+  }
+
+  // Deliver the first count held messages and keep holding the rest, or all of them and stop holding
+  release(count) {
+    const messages = count === undefined ? this.held : this.held.splice(0, count);
+    if (count === undefined) this.held = null;
+    messages.forEach(message => {
+      this.bufferedAmount -= message.byteLength;
+      this.deliver(message);
+    });
+    if (this.bufferedAmount <= this.bufferedAmountLowThreshold) {
+      this.dispatchEvent(new Event('bufferedamountlow'));
+    }
+  }
+
+  // Closes both ends, like a peer going away
+  close() {
+    if (this.readyState === 'closed') return;
+    [this, this.remote].forEach(channel => {
+      channel.readyState = 'closed';
+      setImmediate(() => channel.dispatchEvent(new Event('close')));
+    });
+  }
+}
+
+// Two connected channels, with an RTCPeerConnection stand-in that reports the SCTP message size limit
+export const createChannelPair = ({ maxMessageSize = 256 * 1024 } = {}) => {
+  const host = new MemoryChannel('host');
+  const guest = new MemoryChannel('guest');
+  host.remote = guest;
+  guest.remote = host;
+  return { host, guest, peerConnection: { sctp: { maxMessageSize } } };
+};
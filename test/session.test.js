@@ -0,0 +1,929 @@
+// Sessions talking over in-memory channels: admission, chat, file transfers and relays,
+// without a signaling server or WebRTC
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Session } from '../src/lib/session.js';
+import { createMemorySink } from '../src/lib/fileSink.js';
+import { PROTOCOL_VERSION } from '../src/lib/protocol.js';
+import { answerChallenge, derivePasswordKeys } from '../src/lib/sessionCrypto.js';
+import { createChannelPair } from './memoryChannel.js';
+
+const CODE = 'TEST42';
+
+// Resolves with the first value of an event that passes check
+const waitFor = (session, type, check = () => true) => new Promise(resolve => {
+  const stop = session.on(type, (...args) => {
+    if (check(...args)) {
+      stop();
+      resolve(args[0]);
+    }
+  });
+});
+
+const waitForTransfer = (session, id, check) =>
+  waitFor(session, 'transfers', transfers => transfers.some(t => t.id === id && check(t)));
+
+// Resolves once check() is true, for state that changes without an event
+const until = async (check) => {
+  while (!check()) await new Promise(resolve => setTimeout(resolve, 5));
+};
+
+// A host that lets everyone in from the waiting room
+const createHost = (options = {}) => {
+  const host = new Session({ username: 'host-user', code: CODE, host: true, ...options });
+  host.on('join-requests', requests => {
+    if (requests.length > 0) host.admit(requests[0]);
+  });
+  return host;
+};
+
+const createGuest = (username, options = {}) => new Session({ username, code: CODE, ...options });
+
+// Connect a guest to the host and wait until it is admitted
+const connect = async (host, guest, options) => {
+  const pair = createChannelPair(options);
+  const connected = waitFor(guest, 'status', status => status === 'connected');
+  host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  guest.join(pair.guest, { peerConnection: pair.peerConnection });
+  await connected;
+  return pair;
+};
+
+const randomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 65536) {
+    crypto.getRandomValues(bytes.subarray(i, Math.min(i + 65536, length)));
+  }
+  return bytes;
+};
+
+// Share a file from one session and start downloading it into memory on another, resolves
+// with its ID once the receiver got the first chunks. The rest are held back on the sender's
+// channel until channel.release(), so the transfer is still going
+const startDownload = async (sender, receiver, file, channel) => {
+  const offered = waitFor(receiver, 'transfers', transfers => transfers.some(t => t.name === file.name));
+  const { id } = sender.shareFile(file);
+  await offered;
+  channel.hold();
+  const started = waitForTransfer(receiver, id, t => t.progress > 0);
+  assert.equal(receiver.download(id, createMemorySink(file.type)), true);
+  await until(() => channel.held.length > 4);
+  channel.release(4);
+  await started;
+  return id;
+};
+
+// Resolves once a message of this type arrived on the channel (after the session handled it)
+const received = (channel, type) => new Promise(resolve => {
+  const listener = (event) => {
+    if (typeof event.data !== 'string' || JSON.parse(event.data).type !== type) return;
+    channel.removeEventListener('message', listener);
+    setImmediate(resolve);
+  };
+  channel.addEventListener('message', listener);
+});
+
+const isDone = t => ['complete', 'corrupt', 'error'].includes(t.status);
+
+const receivedBytes = async (session, id) =>
+  new Uint8Array(await session.findTransfer(id).blob.arrayBuffer());
+
+// Share a file from one session and download it into memory on another, resolves with
+// the receiver's finished record and the bytes it received
+const transferFile = async (sender, receiver, file) => {
+  const offered = waitFor(receiver, 'transfers', transfers => transfers.some(t => t.name === file.name));
+  const { id } = sender.shareFile(file);
+  await offered;
+  const done = waitForTransfer(receiver, id, t => ['complete', 'corrupt', 'error'].includes(t.status));
+  assert.equal(receiver.download(id, createMemorySink(file.type)), true);
+  await done;
+  const received = receiver.findTransfer(id);
+  return { id, received, bytes: new Uint8Array(await received.blob.arrayBuffer()) };
+};
+
+test('a guest is admitted and both sides list each other', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const admission = waitFor(guest, 'admission');
+  await connect(host, guest);
+  await admission;
+
+  assert.deepEqual(host.roster.map(p => p.username), ['guest-user']);
+  assert.deepEqual(guest.roster.map(p => p.username), ['host-user']);
+  assert.equal(host.isEncrypted(), false);
+  host.leave();
+  guest.leave();
+});
+
+test('chat reaches the other side and new guests get the history', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  await connect(host, guest);
+
+  const received = waitFor(host, 'chat', messages => messages.length === 1);
+  guest.sendChat('  hello host ');
+  const [message] = await received;
+  assert.equal(message.from, 'guest-user');
+  assert.equal(message.text, 'hello host');
+  assert.equal(message.isYou, false);
+
+  const late = createGuest('late-user');
+  const history = waitFor(late, 'chat', messages => messages.length === 1);
+  await connect(host, late);
+  assert.equal((await history)[0].text, 'hello host');
+  [host, guest, late].forEach(session => session.leave());
+});
+
+test('a file arrives intact and counts as sent', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  await connect(host, guest);
+
+  const data = randomBytes(300 * 1024 + 123);
+  const counted = waitFor(guest, 'transfers', transfers => transfers.some(t => t.uploadCount === 1));
+  const { id, received, bytes } = await transferFile(host, guest, new File([data], 'data.bin'));
+
+  assert.equal(received.status, 'complete');
+  assert.equal(received.integrity, 'verified');
+  assert.deepEqual(bytes, data);
+  await counted;
+  assert.equal(host.findTransfer(id).uploadCount, 1);
+  host.leave();
+  guest.leave();
+});
+
+test('malformed chunk frames are ignored', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+
+  // Empty, shorter than a header, and a header of another frame version
+  const header = new Uint8Array(39);
+  header[0] = 2;
+  [new Uint8Array(0), new Uint8Array([1, 0]), header].forEach(frame => pair.guest.send(frame));
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const data = randomBytes(100 * 1024);
+  const { received, bytes } = await transferFile(guest, host, new File([data], 'data.bin'));
+  assert.equal(received.integrity, 'verified');
+  assert.deepEqual(bytes, data);
+  host.leave();
+  guest.leave();
+});
+
+test('a file is hashed while it is sent, its digest comes before the last chunk', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+
+  // What the host sends: the offer, then everything once the guest asks for the file
+  const sent = [];
+  pair.host.intercept = (message) => {
+    if (typeof message !== 'string') {
+      sent.push('chunk');
+    } else {
+      const msg = JSON.parse(message);
+      sent.push(msg.type === 'file-offer' && msg.sha256 ? 'digest' : msg.type);
+    }
+    return message;
+  };
+
+  const data = randomBytes(200 * 1024);
+  const { received } = await transferFile(host, guest, new File([data], 'data.bin'));
+  assert.equal(received.integrity, 'verified');
+  assert.deepEqual(sent.slice(0, 2), ['file-offer', 'file-start']);
+  assert.deepEqual(sent.slice(-3), ['digest', 'chunk', 'upload-count']);
+  host.leave();
+  guest.leave();
+});
+
+test('a file whose digest never arrives is unverified, not intact', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+  pair.host.intercept = (message) => {
+    if (typeof message !== 'string' || JSON.parse(message).type !== 'file-offer') return message;
+    const { sha256, ...offer } = JSON.parse(message);
+    return JSON.stringify(offer);
+  };
+
+  const data = randomBytes(100 * 1024);
+  const offered = waitFor(guest, 'transfers', transfers => transfers.length === 1);
+  const { id } = host.shareFile(new File([data], 'data.bin'));
+  await offered;
+  const verifying = waitForTransfer(guest, id, t => t.status === 'verifying');
+  guest.download(id, createMemorySink());
+  await verifying;
+
+  // The sender goes away before its digest came, the download doesn't wait for it any longer
+  const done = waitForTransfer(guest, id, isDone);
+  pair.host.close();
+  await done;
+  const received = guest.findTransfer(id);
+  assert.equal(received.status, 'complete');
+  assert.equal(received.integrity, 'unverified');
+  assert.deepEqual(await receivedBytes(guest, id), data);
+  host.leave();
+  guest.leave();
+});
+
+test('chunks grow to what the channel carries', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest, { maxMessageSize: 70 * 1024 });
+
+  // The largest frames sent are 64KB chunks plus the frame header
+  let largest = 0;
+  pair.host.intercept = (message) => {
+    if (message instanceof ArrayBuffer) largest = Math.max(largest, message.byteLength);
+    return message;
+  };
+  const data = randomBytes(200 * 1024);
+  const { bytes } = await transferFile(host, guest, new File([data], 'data.bin'));
+  assert.deepEqual(bytes, data);
+  assert.equal(largest, 64 * 1024 + 39);
+  host.leave();
+  guest.leave();
+});
+
+test('compressible files are sent compressed', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  await connect(host, guest);
+
+  const text = Array.from({ length: 5000 }, (_, i) => `line ${i}: the quick brown fox\n`).join('');
+  const { received, bytes } = await transferFile(host, guest, new File([text], 'notes.txt', { type: 'text/plain' }));
+
+  assert.equal(new TextDecoder().decode(bytes), text);
+  assert.ok(received.compressionRatio > 2, `compression ratio ${received.compressionRatio}`);
+  host.leave();
+  guest.leave();
+});
+
+test('a corrupted chunk is requested again', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+
+  // Flip a byte in the first chunk frame
+  let corrupted = false;
+  pair.host.intercept = (message) => {
+    if (message instanceof ArrayBuffer && !corrupted) {
+      corrupted = true;
+      new Uint8Array(message)[100] ^= 0xff;
+    }
+    return message;
+  };
+  const data = randomBytes(100 * 1024);
+  const { received, bytes } = await transferFile(host, guest, new File([data], 'data.bin'));
+
+  assert.ok(corrupted);
+  assert.equal(received.integrity, 'verified');
+  assert.deepEqual(bytes, data);
+  host.leave();
+  guest.leave();
+});
+
+test('the host relays files between guests', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  await connect(host, alice);
+  await connect(host, bob);
+
+  const data = randomBytes(150 * 1024);
+  const { id, received, bytes } = await transferFile(alice, bob, new File([data], 'from-alice.bin'));
+
+  assert.equal(received.integrity, 'verified');
+  assert.equal(received.sender, 'alice');
+  assert.deepEqual(bytes, data);
+  assert.equal(host.findTransfer(id).pendingFile, undefined); // The host only passed it on
+  [host, alice, bob].forEach(session => session.leave());
+});
+
+test('only the sender of a file vouches for its digest', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  const carol = createGuest('carol');
+  await connect(host, alice);
+  const bobPair = await connect(host, bob);
+  await connect(host, carol);
+
+  const data = randomBytes(100 * 1024);
+  const offered = waitFor(carol, 'transfers', transfers => transfers.length === 1);
+  const { id } = alice.shareFile(new File([data], 'data.bin'));
+  await offered;
+
+  // Bob offers alice's file as if he had it, with another digest and as its sender
+  const forged = waitForTransfer(host, id, t => t._sources.length === 2);
+  bobPair.guest.send(JSON.stringify({
+    type: 'file-offer', id, name: 'data.bin', size: data.length, sender: 'bob', sha256: '00'.repeat(32),
+  }));
+  await forged;
+  assert.equal(host.findTransfer(id).sha256, null);
+  assert.equal(host.findTransfer(id).sender, 'alice');
+
+  const done = waitForTransfer(carol, id, t => t.status === 'complete');
+  carol.download(id, createMemorySink());
+  await done;
+  const received = carol.findTransfer(id);
+  assert.equal(received.integrity, 'verified');
+  assert.equal(received.sha256, alice.findTransfer(id).sha256);
+  [host, alice, bob, carol].forEach(session => session.leave());
+});
+
+test('a stalled source hands its range to a faster one', { timeout: 20000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  const alicePair = await connect(host, alice);
+  await connect(host, bob);
+
+  // Both have the file, alice's chunks never arrive
+  const data = randomBytes(13 * 1024 * 1024);
+  const file = new File([data], 'data.bin');
+  const offered = waitForTransfer(host, 'shared', t => t._sources?.length === 2);
+  alice.shareFile(file, { id: 'shared' });
+  bob.shareFile(file, { id: 'shared' });
+  await offered;
+  alicePair.guest.intercept = (message) => (message instanceof ArrayBuffer ? null : message);
+
+  let mostPending = 0;
+  const done = waitForTransfer(host, 'shared', t => t.status === 'complete');
+  host.on('transfers', () => {
+    const incoming = host.incoming.shared;
+    if (incoming) mostPending = Math.max(mostPending, incoming.pending.size * incoming.chunkSize);
+  });
+  assert.equal(host.download('shared', createMemorySink()), true);
+  await done;
+  assert.deepEqual(new Uint8Array(await host.findTransfer('shared').blob.arrayBuffer()), data);
+  assert.ok(mostPending <= 2 * 4 * 1024 * 1024, `${mostPending} bytes waited in memory`);
+  [host, alice, bob].forEach(session => session.leave());
+});
+
+test('a download resumes where it stopped after a reconnect', { timeout: 20000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+
+  const data = randomBytes(8 * 1024 * 1024);
+  const id = await startDownload(host, guest, new File([data], 'data.bin'), pair.host);
+  const paused = waitForTransfer(guest, id, t => t.status === 'paused');
+  pair.host.close();
+  await paused;
+  const { writtenUpTo } = guest.incoming[id];
+  assert.ok(writtenUpTo > 0);
+
+  // Only what is missing is asked for again
+  const requests = [];
+  const again = createChannelPair();
+  again.guest.intercept = (message) => {
+    if (typeof message === 'string' && JSON.parse(message).type === 'file-request') requests.push(JSON.parse(message));
+    return message;
+  };
+  const done = waitForTransfer(guest, id, isDone);
+  host.addChannel(again.host, { peerConnection: again.peerConnection });
+  guest.join(again.guest, { peerConnection: again.peerConnection });
+  await done;
+
+  assert.equal(guest.findTransfer(id).integrity, 'verified');
+  assert.deepEqual(await receivedBytes(guest, id), data);
+  assert.ok(requests.length > 0 && requests.every(r => r.from >= writtenUpTo));
+  host.leave();
+  guest.leave();
+});
+
+test('the receiver can pause, resume and cancel a download', { timeout: 20000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+
+  const data = randomBytes(8 * 1024 * 1024);
+  const id = await startDownload(host, guest, new File([data], 'data.bin'), pair.host);
+  const stopped = waitForTransfer(host, id, t => t.status === 'available');
+  const cancelled = received(pair.host, 'file-cancel');
+  guest.pauseDownload(id);
+  assert.equal(guest.findTransfer(id).status, 'paused');
+  await cancelled;
+  pair.host.release();
+  await stopped;
+
+  const done = waitForTransfer(guest, id, isDone);
+  assert.equal(guest.resumeDownload(id), true);
+  await done;
+  assert.deepEqual(await receivedBytes(guest, id), data);
+
+  // Cancelling drops what arrived, the file can be downloaded again
+  const other = await startDownload(host, guest, new File([data], 'other.bin'), pair.host);
+  const dropped = waitForTransfer(host, other, t => t.status === 'available');
+  const cancelledOther = received(pair.host, 'file-cancel');
+  guest.cancelDownload(other);
+  assert.equal(guest.findTransfer(other).status, 'available');
+  assert.equal(guest.incoming[other], undefined);
+  await cancelledOther;
+  pair.host.release();
+  await dropped;
+  host.leave();
+  guest.leave();
+});
+
+test('the sender can pause, resume and cancel an upload', { timeout: 20000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+
+  const data = randomBytes(8 * 1024 * 1024);
+  const id = await startDownload(host, guest, new File([data], 'data.bin'), pair.host);
+  const paused = waitForTransfer(guest, id, t => t.status === 'paused');
+  host.pauseUpload(id);
+  pair.host.release();
+  await paused;
+  assert.ok(guest.incoming[id]); // What arrived is kept
+
+  const done = waitForTransfer(guest, id, isDone);
+  host.resumeUpload(id);
+  await done;
+  assert.deepEqual(await receivedBytes(guest, id), data);
+
+  const other = await startDownload(host, guest, new File([data], 'other.bin'), pair.host);
+  const cancelled = waitForTransfer(guest, other, t => t.status === 'available');
+  host.cancelUpload(other);
+  pair.host.release();
+  await cancelled;
+  assert.equal(guest.incoming[other], undefined);
+  host.leave();
+  guest.leave();
+});
+
+test('a file several peers have is fetched from all of them', { timeout: 20000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  const alicePair = await connect(host, alice);
+  const bobPair = await connect(host, bob);
+
+  const data = randomBytes(10 * 1024 * 1024);
+  const file = new File([data], 'data.bin');
+  const offered = waitForTransfer(host, 'shared', t => t._sources?.length === 2);
+  alice.shareFile(file, { id: 'shared' });
+  bob.shareFile(file, { id: 'shared' });
+  await offered;
+
+  const chunks = { alice: 0, bob: 0 };
+  alicePair.guest.intercept = (message) => {
+    if (message instanceof ArrayBuffer) chunks.alice++;
+    return message;
+  };
+  bobPair.guest.intercept = (message) => {
+    if (message instanceof ArrayBuffer) chunks.bob++;
+    return message;
+  };
+  const done = waitForTransfer(host, 'shared', isDone);
+  assert.equal(host.download('shared', createMemorySink()), true);
+  await done;
+
+  assert.deepEqual(await receivedBytes(host, 'shared'), data);
+  assert.ok(chunks.alice > 0 && chunks.bob > 0, JSON.stringify(chunks));
+  [host, alice, bob].forEach(session => session.leave());
+});
+
+test('an upload moved ahead is sent first', { timeout: 20000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  const pair = await connect(host, guest);
+
+  const data = randomBytes(8 * 1024 * 1024);
+  const offered = waitFor(guest, 'transfers', transfers => transfers.length === 2);
+  const first = host.shareFile(new File([data], 'first.bin')).id;
+  const second = host.shareFile(new File([data], 'second.bin')).id;
+  await offered;
+
+  const sending = waitFor(host, 'transfers', transfers =>
+    transfers.filter(t => t.status === 'transferring').length === 2);
+  const firstDone = waitForTransfer(guest, first, isDone);
+  const secondDone = waitForTransfer(guest, second, isDone);
+  pair.host.hold(); // Both uploads stall on a full channel
+  guest.download(first, createMemorySink());
+  guest.download(second, createMemorySink());
+  await sending;
+  host.moveUpload(second, 1);
+  assert.ok(host.findTransfer(second).priority > (host.findTransfer(first).priority || 0));
+  pair.host.release();
+
+  await secondDone;
+  assert.notEqual(guest.findTransfer(first).status, 'complete');
+  await firstDone;
+  assert.deepEqual(await receivedBytes(guest, first), data);
+  host.leave();
+  guest.leave();
+});
+
+test('a password protected session encrypts chat and files', { timeout: 10000 }, async () => {
+  const host = createHost({ password: 'secret' });
+  const guest = createGuest('guest-user', { joinPassword: 'secret' });
+  const pair = await connect(host, guest);
+  assert.equal(host.isEncrypted(), true);
+  assert.equal(guest.isEncrypted(), true);
+
+  const sent = [];
+  pair.guest.intercept = (message) => {
+    if (typeof message === 'string') sent.push(JSON.parse(message).type);
+    return message;
+  };
+  const received = waitFor(host, 'chat', messages => messages.length === 1);
+  guest.sendChat('for your eyes only');
+  assert.equal((await received)[0].text, 'for your eyes only');
+  assert.deepEqual(sent, ['sealed']);
+
+  const data = randomBytes(50 * 1024);
+  const { bytes } = await transferFile(host, guest, new File([data], 'secret.bin'));
+  assert.deepEqual(bytes, data);
+  host.leave();
+  guest.leave();
+});
+
+test('a host restored from the password keys admits guests with the password', { timeout: 10000 }, async () => {
+  const keys = await derivePasswordKeys('secret', CODE);
+  await assert.rejects(crypto.subtle.exportKey('raw', keys.session));
+  const host = createHost({ passwordKeys: keys });
+  const guest = createGuest('guest-user', { joinPassword: 'secret' });
+  await connect(host, guest);
+  assert.equal(host.isEncrypted(), true);
+
+  const received = waitFor(host, 'chat', messages => messages.length === 1);
+  guest.sendChat('still secret');
+  assert.equal((await received)[0].text, 'still secret');
+  host.leave();
+  guest.leave();
+});
+
+test('a wrong password is refused', { timeout: 10000 }, async () => {
+  const host = createHost({ password: 'secret' });
+  const guest = createGuest('guest-user', { joinPassword: 'guess' });
+  const pair = createChannelPair();
+  const rejected = waitFor(guest, 'rejected');
+  host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  guest.join(pair.guest, { peerConnection: pair.peerConnection });
+
+  assert.equal(await rejected, 'Incorrect password');
+  assert.deepEqual(host.roster, []);
+  host.leave();
+});
+
+test('wrong passwords lock a peer out for a while, the host can unlock it', { timeout: 10000 }, async () => {
+  const host = createHost({ password: 'secret' });
+  // Resolves with why a guest with this password was turned away, or 'connected'
+  const tryPassword = (password, peer) => {
+    const guest = createGuest('guest-user', { joinPassword: password });
+    const pair = createChannelPair();
+    const result = Promise.race([
+      waitFor(guest, 'rejected'),
+      waitFor(guest, 'status', status => status === 'connected'),
+    ]);
+    host.addChannel(pair.host, { peerConnection: pair.peerConnection, peer });
+    guest.join(pair.guest, { peerConnection: pair.peerConnection });
+    return result.finally(() => guest.leave());
+  };
+
+  // Lockouts double, but never past 15 minutes
+  const lockouts = [];
+  host.on('password-lockout', until => lockouts.push(until));
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await tryPassword('guess', 'guesser'), 'Incorrect password');
+  }
+  host.passwordFailures.get('guesser').lockouts = 10;
+  for (let i = 0; i < 5; i++) {
+    assert.match(await tryPassword('guess', 'guesser'), /^Too many failed attempts/);
+  }
+  assert.equal(lockouts.length, 1);
+  assert.ok(lockouts[0] - Date.now() <= 60 * 1000);
+  assert.match(await tryPassword('secret', 'guesser'), /^Too many failed attempts/);
+
+  // Everyone else still gets in
+  assert.equal(await tryPassword('secret', 'someone-else'), 'connected');
+
+  host.unlockPassword();
+  assert.deepEqual(lockouts.slice(1), [0]);
+  assert.equal(await tryPassword('secret', 'guesser'), 'connected');
+
+  // Getting in clears the peer's failures before it
+  assert.equal(await tryPassword('guess', 'guesser'), 'Incorrect password');
+  assert.equal(host.passwordFailures.get('guesser').attempts, 1);
+  assert.equal(await tryPassword('secret', 'guesser'), 'connected');
+  assert.equal(host.passwordFailures.has('guesser'), false);
+
+  // ... and a long lockout still ends after 15 minutes at most
+  for (let i = 0; i < 4; i++) await tryPassword('guess', 'guesser');
+  host.passwordFailures.get('guesser').lockouts = 10;
+  await tryPassword('guess', 'guesser');
+  assert.ok(lockouts.at(-1) - Date.now() <= 15 * 60 * 1000);
+  host.leave();
+});
+
+test('a wrong guess counts even when the guesser hangs up right away', { timeout: 10000 }, async () => {
+  const host = createHost({ password: 'secret' });
+  const guess = async () => {
+    const pair = createChannelPair();
+    host.addChannel(pair.host, { peerConnection: pair.peerConnection, peer: 'guesser' });
+    // A client that answers the challenge and closes before hearing back
+    pair.guest.addEventListener('message', async ({ data }) => {
+      const msg = JSON.parse(data);
+      if (msg.type !== 'password-challenge') return;
+      const keys = await derivePasswordKeys('guess', CODE);
+      pair.guest.send(JSON.stringify({ type: 'password-response', response: await answerChallenge(keys.auth, msg.nonce) }));
+      setImmediate(() => pair.guest.close()); // Once the response is on its way
+    });
+    const closed = new Promise(resolve => pair.host.addEventListener('close', resolve));
+    pair.guest.send(JSON.stringify({ type: 'password-check' }));
+    await closed;
+  };
+
+  for (let i = 0; i < 5; i++) await guess();
+  await until(() => host.passwordFailures.get('guesser')?.lockouts === 1);
+  assert.ok(host.passwordFailures.get('guesser').lockedUntil > Date.now());
+  host.leave();
+});
+
+test('a guest asks for the password when it has none', { timeout: 10000 }, async () => {
+  const host = createHost({ password: 'secret' });
+  const guest = createGuest('guest-user');
+  const pair = createChannelPair();
+  const required = waitFor(guest, 'password-required');
+  const connected = waitFor(guest, 'status', status => status === 'connected');
+  host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  guest.join(pair.guest, { peerConnection: pair.peerConnection });
+
+  await required;
+  assert.equal(guest.submitPassword('secret'), true);
+  await connected;
+  assert.equal(guest.isEncrypted(), true);
+  host.leave();
+  guest.leave();
+});
+
+test('clients with an incompatible protocol are turned away', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const pair = createChannelPair();
+  const messages = [];
+  const denied = new Promise(resolve => {
+    pair.guest.addEventListener('message', (event) => {
+      const msg = JSON.parse(event.data);
+      messages.push(msg.type);
+      if (msg.type === 'password-ok') {
+        pair.guest.send(JSON.stringify({ type: 'identify', from: 'old-client', protocol: 0 }));
+      } else if (msg.type === 'join-denied') {
+        resolve(msg);
+      }
+    });
+  });
+  host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  pair.guest.send(JSON.stringify({ type: 'password-check' }));
+
+  const msg = await denied;
+  assert.equal(msg.reason, 'protocol');
+  assert.equal(msg.protocol, PROTOCOL_VERSION);
+  assert.deepEqual(messages, ['password-ok', 'join-denied']);
+  assert.deepEqual(host.joinRequests, []);
+  host.leave();
+});
+
+test('guests wait until the host lets them in, and can be removed or banned', { timeout: 10000 }, async () => {
+  const host = new Session({ username: 'host-user', code: CODE, host: true });
+  // Resolves with the guest's pair once it is in the waiting room
+  const arrive = async (guest) => {
+    const pair = createChannelPair();
+    const waiting = waitFor(host, 'join-requests', requests => requests.some(r => r.username === guest.username));
+    host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+    guest.join(pair.guest, { peerConnection: pair.peerConnection });
+    await waiting;
+    return pair;
+  };
+
+  const denied = createGuest('denied-user');
+  await arrive(denied);
+  assert.deepEqual(host.roster, []);
+  const rejected = waitFor(denied, 'rejected');
+  host.deny(host.joinRequests[0]);
+  assert.equal(await rejected, 'The host declined your request to join');
+
+  const guest = createGuest('guest-user');
+  await arrive(guest);
+  const connected = waitFor(guest, 'status', status => status === 'connected');
+  host.admit(host.joinRequests[0]);
+  await connected;
+  const kicked = waitFor(guest, 'rejected');
+  host.kick(host.roster[0]);
+  assert.equal(await kicked, 'You were removed from the session');
+  assert.deepEqual(host.roster, []);
+
+  // Banned names are turned away before the waiting room, until the host unbans them
+  const again = createGuest('guest-user');
+  await arrive(again);
+  host.admit(host.joinRequests[0]);
+  await until(() => host.roster.length === 1);
+  const banned = waitFor(again, 'rejected');
+  host.kick(host.roster[0], true);
+  assert.equal(await banned, 'You were banned from this session');
+  assert.deepEqual(host.banned, ['guest-user']);
+
+  const returning = createGuest('guest-user');
+  const refused = waitFor(returning, 'rejected');
+  const pair = createChannelPair();
+  host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  returning.join(pair.guest, { peerConnection: pair.peerConnection });
+  assert.equal(await refused, 'You are banned from this session');
+  assert.deepEqual(host.joinRequests, []);
+
+  host.unban('guest-user');
+  await arrive(createGuest('guest-user'));
+  host.leave();
+});
+
+test('the first guest takes over when the host leaves', { timeout: 10000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  await connect(host, alice);
+  await connect(host, bob);
+  host.sendChat('before the handover');
+  await until(() => alice.succession.length === 2 && bob.chatMessages.length === 1);
+  assert.deepEqual(alice.succession, ['alice', 'bob']);
+
+  const left = waitFor(bob, 'roster', roster => roster.length === 0);
+  host.leave();
+  await left;
+
+  // Alice hosts now, bob comes back in without waiting, strangers still wait
+  alice.becomeHost();
+  assert.equal(alice.isHost, true);
+  const history = waitFor(bob, 'chat', messages => messages.length === 1);
+  await connect(alice, bob);
+  assert.equal((await history)[0].text, 'before the handover');
+  assert.deepEqual(alice.roster.map(p => p.username), ['bob']);
+
+  const stranger = createGuest('stranger');
+  const waiting = waitFor(alice, 'join-requests', requests => requests.length === 1);
+  const pair = createChannelPair();
+  alice.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  stranger.join(pair.guest, { peerConnection: pair.peerConnection });
+  assert.equal((await waiting)[0].username, 'stranger');
+  [alice, bob, stranger].forEach(session => session.leave());
+});
+
+test('reactions, edits, deletes and typing reach every guest', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  await connect(host, alice);
+  await connect(host, bob);
+
+  const bobTyping = waitFor(bob, 'typing', names => names.includes('alice'));
+  alice.setTyping(true);
+  await bobTyping;
+
+  const arrived = waitFor(bob, 'chat', messages => messages.length === 1);
+  alice.sendChat('**hello**');
+  const [message] = await arrived;
+  assert.equal(typeof message.id, 'string');
+  assert.deepEqual(bob.typing.size, 0); // The message ends typing
+
+  const reacted = waitFor(alice, 'chat', messages => messages[0].reactions?.length === 1);
+  bob.reactToChat(message.id, '👍');
+  assert.deepEqual((await reacted)[0].reactions, [{ emoji: '👍', users: ['bob'] }]);
+
+  const edited = waitFor(bob, 'chat', messages => messages[0].edited);
+  alice.editChat(message.id, 'hello everyone');
+  assert.equal((await edited)[0].text, 'hello everyone');
+
+  // Only the author can delete, everyone keeps a placeholder
+  bob.deleteChat(message.id);
+  assert.equal(bob.chatMessages[0].deleted, undefined);
+  const deleted = waitFor(host, 'chat', messages => messages[0].deleted);
+  alice.deleteChat(message.id);
+  const [placeholder] = await deleted;
+  assert.equal(placeholder.text, '');
+  assert.deepEqual(placeholder.reactions, []);
+  [host, alice, bob].forEach(session => session.leave());
+});
+
+test('guests can only chat and edit under their own name', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  await connect(host, alice);
+  const bobPair = await connect(host, bob);
+
+  const arrived = waitFor(bob, 'chat', messages => messages.length === 2);
+  alice.sendChat('from alice');
+  await waitFor(host, 'chat');
+  host.sendChat('from the host');
+  const [aliceMessage, hostMessage] = await arrived;
+
+  // Bob claims to be alice and the host
+  const forge = (msg) => bobPair.guest.send(JSON.stringify(msg));
+  forge({ type: 'chat-edit', id: aliceMessage.id, from: 'alice', text: 'forged', edited: Date.now() });
+  forge({ type: 'chat-edit', id: hostMessage.id, from: 'host', text: 'forged', edited: Date.now() });
+  forge({ type: 'chat-delete', id: aliceMessage.id, from: 'alice' });
+  forge({ type: 'chat', id: 'forged', from: 'alice', text: 'forged', timestamp: Date.now() });
+  forge({ type: 'typing', from: 'alice', active: true });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  for (const session of [host, alice]) {
+    assert.deepEqual(session.chatMessages.map(m => m.text), ['from alice', 'from the host']);
+    assert.ok(session.chatMessages.every(m => !m.edited && !m.deleted));
+    assert.equal(session.typing.size, 0);
+  }
+
+  // Nobody joins under the host's chat name
+  const impostor = createGuest('host');
+  const rejected = waitFor(impostor, 'rejected');
+  const pair = createChannelPair();
+  host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  impostor.join(pair.guest, { peerConnection: pair.peerConnection });
+  assert.equal(await rejected, 'Your name is taken in this session');
+  [host, alice, bob].forEach(session => session.leave());
+});
+
+test('guests can\'t take another name or act as the host', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const alice = createGuest('alice');
+  const bob = createGuest('bob');
+  await connect(host, alice);
+  const bobPair = await connect(host, bob);
+  host.sendChat('from the host');
+  await waitFor(bob, 'chat');
+
+  // Bob acks as alice, rewrites the history and claims a count for a file he didn't send
+  const forge = (msg) => bobPair.guest.send(JSON.stringify(msg));
+  forge({ type: 'identify_ack', from: 'alice', protocol: PROTOCOL_VERSION, minProtocol: PROTOCOL_VERSION });
+  forge({ type: 'chat-history', messages: [{ id: 'forged', from: 'host', text: 'forged history', timestamp: Date.now() }] });
+  forge({ type: 'succession', order: ['bob'], banned: ['alice'] });
+  forge({ type: 'chat', id: 'forged', from: 'alice', text: 'forged', timestamp: Date.now() });
+  const { id } = alice.shareFile(new File(['data'], 'alice.txt'));
+  await waitForTransfer(host, id, () => true);
+  forge({ type: 'upload-count', id, count: 99 });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepEqual(host.roster.map(p => p.username), ['alice', 'bob']);
+  assert.deepEqual(host.banned, []);
+  for (const session of [host, alice]) {
+    assert.deepEqual(session.chatMessages.map(m => m.text), ['from the host']);
+  }
+  assert.equal(host.findTransfer(id).uploadCount, 0);
+
+  // A guest takes the history from its host once, when it is let in
+  const history = JSON.stringify({ type: 'chat-history', messages: [{ id: 'late', from: 'host', text: 'late', timestamp: Date.now() }] });
+  bobPair.host.send(history);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(bob.chatMessages.map(m => m.text), ['from the host']);
+  [host, alice, bob].forEach(session => session.leave());
+});
+
+test('late guests get reactions and edits with the history', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const guest = createGuest('guest-user');
+  await connect(host, guest);
+  host.sendChat('first');
+  const { id } = host.chatMessages[0];
+  host.reactToChat(id, '🎉');
+  host.editChat(id, 'first, edited');
+
+  const late = createGuest('late-user');
+  const history = waitFor(late, 'chat', messages => messages.length === 1);
+  await connect(host, late);
+  const [message] = await history;
+  assert.equal(message.id, id);
+  assert.equal(message.text, 'first, edited');
+  assert.deepEqual(message.reactions, [{ emoji: '🎉', users: ['host'] }]);
+  [host, guest, late].forEach(session => session.leave());
+});
+
+test('clients without rich chat only get plain chat messages', { timeout: 5000 }, async () => {
+  const host = createHost();
+  const pair = createChannelPair();
+  const received = [];
+  const admitted = new Promise(resolve => {
+    pair.guest.addEventListener('message', (event) => {
+      const msg = JSON.parse(event.data);
+      received.push(msg.type);
+      if (msg.type === 'password-ok') {
+        pair.guest.send(JSON.stringify({ type: 'identify', from: 'old-client', protocol: PROTOCOL_VERSION, capabilities: [] }));
+      } else if (msg.type === 'identify_ack') {
+        resolve();
+      }
+    });
+  });
+  host.addChannel(pair.host, { peerConnection: pair.peerConnection });
+  pair.guest.send(JSON.stringify({ type: 'password-check' }));
+  await admitted;
+
+  host.setTyping(true);
+  host.sendChat('hi');
+  host.reactToChat(host.chatMessages[0].id, '👍');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(received.includes('chat'));
+  assert.ok(!received.includes('typing') && !received.includes('chat-react'));
+  host.leave();
+});
@@ -0,0 +1,260 @@
+// Local stand-in for the rondevu signaling server, for tests and offline development.
+// It speaks the server's RPC API, so Rondevu.connect({ apiUrl }) works against it (the app
+// with VITE_API_URL, the CLI with --api). Everything is kept in memory.
+//
+// POST /rpc takes one call { method, params } or a batch (an array of them) and answers each
+// with { success: true, result } or { success: false, error }. Calls other than
+// generateCredentials need the X-Name header of issued credentials (X-Timestamp, X-Nonce and
+// X-Signature are accepted but not checked, this is not a security boundary).
+//
+//   generateCredentials { name? }                       -> { name, secret }
+//   publishOffer        { tags, offers: [{ sdp }], ttl? } -> { username, tags, offers: [{ offerId, sdp }], expiresAt }
+//   discover            { tags, limit?, offset? }       -> one random offer, or { offers, count } with a limit
+//   answerOffer         { offerId, sdp }                -> { offerId }
+//   poll                { since? }                      -> { answers, iceCandidates } for the caller's offers
+//   addIceCandidates    { offerId, candidates }         -> { offerId, count }
+//   getIceCandidates    { offerId, since? }             -> { offerId, candidates } from the other side
+//   deleteOffer         { offerId }                     -> { offerId }
+//
+// Run it on its own with `node test/signalingServer.js` (PORT, default 3000)
+
+import { createServer } from 'node:http';
+import { randomBytes, randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_OFFER_TTL_MS = 60 * 1000; // Offers nobody answered in time are dropped
+const MAX_OFFER_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_BODY_SIZE = 256 * 1024; // A batch of offers with their SDP fits easily
+const MAX_BATCH_SIZE = 100;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Failed calls in a batch are answered one by one, the rest of the batch still runs
+class RpcError extends Error {}
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      reject(new HttpError(413, 'Body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch {
+      reject(new HttpError(400, 'Invalid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const requireString = (params, field) => {
+  if (typeof params[field] !== 'string' || !params[field]) {
+    throw new RpcError(`Missing ${field}`);
+  }
+  return params[field];
+};
+
+const requireTags = (params) => {
+  const { tags } = params;
+  if (!Array.isArray(tags) || tags.length === 0 || !tags.every(tag => typeof tag === 'string' && tag)) {
+    throw new RpcError('Missing tags');
+  }
+  return tags;
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Name, X-Timestamp, X-Nonce, X-Signature',
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+};
+
+// Starts the server, resolves with its URL and a close function. port 0 picks a free one
+export const startSignalingServer = ({ port = 0, host = '127.0.0.1' } = {}) => {
+  const credentials = new Map(); // name -> secret
+  const offers = new Map(); // offerId -> { offerId, username, tags, sdp, createdAt, expiresAt, answer, candidates }
+
+  const dropExpired = () => {
+    const now = Date.now();
+    offers.forEach((offer, offerId) => {
+      if (!offer.answer && now > offer.expiresAt) offers.delete(offerId);
+    });
+  };
+
+  const findOffer = (offerId) => {
+    const offer = offers.get(offerId);
+    if (!offer) throw new RpcError('Offer not found');
+    return offer;
+  };
+
+  // Only the host that published an offer and the guest that answered it take part in it
+  const findOwnOffer = (offerId, name) => {
+    const offer = findOffer(offerId);
+    if (offer.username !== name && offer.answer?.answererId !== name) {
+      throw new RpcError('Not a party to this offer');
+    }
+    return offer;
+  };
+
+  const describeOffer = ({ offerId, username, tags, sdp, createdAt, expiresAt }) =>
+    ({ offerId, username, tags, sdp, createdAt, expiresAt });
+
+  const methods = {
+    generateCredentials: (params) => {
+      const name = params.name || `user-${randomUUID().slice(0, 8)}`;
+      if (credentials.has(name)) throw new RpcError('Username already taken');
+      const secret = randomBytes(32).toString('hex');
+      credentials.set(name, secret);
+      return { name, secret };
+    },
+
+    publishOffer: (params, name) => {
+      const tags = requireTags(params);
+      if (!Array.isArray(params.offers) || params.offers.length === 0) throw new RpcError('Missing offers');
+      const createdAt = Date.now();
+      const expiresAt = createdAt + Math.min(params.ttl || DEFAULT_OFFER_TTL_MS, MAX_OFFER_TTL_MS);
+      const published = params.offers.map(({ sdp }) => {
+        if (typeof sdp !== 'string' || !sdp) throw new RpcError('Missing sdp');
+        const offer = {
+          offerId: randomUUID(), username: name, tags, sdp, createdAt, expiresAt, answer: null, candidates: [],
+        };
+        offers.set(offer.offerId, offer);
+        return offer;
+      });
+      return { username: name, tags, offers: published.map(describeOffer), createdAt, expiresAt };
+    },
+
+    // Unanswered offers of other users carrying any of the tags
+    discover: (params, name) => {
+      const tags = requireTags(params);
+      dropExpired();
+      const matches = [...offers.values()].filter(offer =>
+        !offer.answer && offer.username !== name && offer.tags.some(tag => tags.includes(tag)));
+      if (params.limit === undefined) {
+        if (matches.length === 0) throw new RpcError('No offers found');
+        return describeOffer(matches[Math.floor(Math.random() * matches.length)]);
+      }
+      const offset = params.offset || 0;
+      return {
+        offers: matches.slice(offset, offset + params.limit).map(describeOffer),
+        count: matches.length,
+        limit: params.limit,
+        offset,
+      };
+    },
+
+    answerOffer: (params, name) => {
+      const sdp = requireString(params, 'sdp');
+      const offer = findOffer(requireString(params, 'offerId'));
+      if (offer.answer) throw new RpcError('Offer already answered');
+      if (offer.username === name) throw new RpcError('Cannot answer your own offer');
+      offer.answer = { answererId: name, sdp, answeredAt: Date.now() };
+      return { offerId: offer.offerId };
+    },
+
+    // The host's view of its offers: answers and the guests' candidates since a timestamp
+    poll: (params, name) => {
+      const since = params.since || 0;
+      const answers = [];
+      const iceCandidates = {};
+      offers.forEach(offer => {
+        if (offer.username !== name || !offer.answer) return;
+        if (offer.answer.answeredAt > since) {
+          answers.push({ offerId: offer.offerId, ...offer.answer });
+        }
+        const candidates = offer.candidates.filter(c => c.role === 'answerer' && c.createdAt > since);
+        if (candidates.length > 0) iceCandidates[offer.offerId] = candidates;
+      });
+      return { answers, iceCandidates };
+    },
+
+    addIceCandidates: (params, name) => {
+      const offer = findOwnOffer(requireString(params, 'offerId'), name);
+      if (!Array.isArray(params.candidates)) throw new RpcError('Missing candidates');
+      const role = offer.username === name ? 'offerer' : 'answerer';
+      const createdAt = Date.now();
+      params.candidates.forEach(candidate => offer.candidates.push({ candidate, role, username: name, createdAt }));
+      return { offerId: offer.offerId, count: params.candidates.length };
+    },
+
+    getIceCandidates: (params, name) => {
+      const offer = findOwnOffer(requireString(params, 'offerId'), name);
+      const since = params.since || 0;
+      const role = offer.username === name ? 'answerer' : 'offerer';
+      return {
+        offerId: offer.offerId,
+        candidates: offer.candidates.filter(c => c.role === role && c.createdAt > since),
+      };
+    },
+
+    deleteOffer: (params, name) => {
+      const offer = findOffer(requireString(params, 'offerId'));
+      if (offer.username !== name) throw new RpcError('Not your offer');
+      offers.delete(offer.offerId);
+      return { offerId: offer.offerId };
+    },
+  };
+
+  const call = ({ method, params = {} } = {}, name) => {
+    try {
+      if (!Object.hasOwn(methods, method)) throw new RpcError(`Unknown method: ${method}`);
+      if (method !== 'generateCredentials' && !credentials.has(name)) {
+        throw new RpcError('Authentication required');
+      }
+      return { success: true, result: methods[method](params, name) };
+    } catch (err) {
+      if (!(err instanceof RpcError)) console.error(`Signaling call ${method} failed:`, err);
+      return { success: false, error: err instanceof RpcError ? err.message : 'Internal error' };
+    }
+  };
+
+  const route = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'POST' || pathname !== '/rpc') throw new HttpError(404, 'Not found');
+    const body = await readJson(req);
+    const name = req.headers['x-name'];
+    if (!Array.isArray(body)) return send(res, 200, call(body, name));
+    if (body.length > MAX_BATCH_SIZE) throw new HttpError(400, 'Batch too large');
+    return send(res, 200, body.map(request => call(request, name)));
+  };
+
+  const server = createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+    route(req, res).catch((err) => {
+      if (!(err instanceof HttpError)) console.error('Signaling request failed:', err);
+      send(res, err.status || 500, { success: false, error: err.status ? err.message : 'Internal error' });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: actualPort } = server.address();
+      resolve({
+        url: `http://${host}:${actualPort}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startSignalingServer({ port: Number(process.env.PORT) || 3000 });
+  console.log(`Signaling stand-in listening on ${url}`);
+}
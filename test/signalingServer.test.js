@@ -0,0 +1,94 @@
+// The local signaling stand-in: the rondevu RPC calls a host and a guest make to connect
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSignalingServer } from './signalingServer.js';
+
+let server;
+before(async () => { server = await startSignalingServer(); });
+after(() => server.close());
+
+// One call (or a batch of them) as the user with this name, resolves with the parsed reply
+const rpc = async (body, name) => {
+  const res = await fetch(`${server.url}/rpc`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(name && { 'X-Name': name }) },
+    body: JSON.stringify(body),
+  });
+  return res.json();
+};
+
+// The result of a call that has to succeed
+const call = async (name, method, params) => {
+  const reply = await rpc({ method, params }, name);
+  assert.equal(reply.success, true, reply.error);
+  return reply.result;
+};
+
+const signUp = async (name) => (await call(null, 'generateCredentials', { name })).name;
+
+test('names are handed out once', async () => {
+  const { name, secret } = await call(null, 'generateCredentials', {});
+  assert.match(name, /^user-/);
+  assert.equal(secret.length, 64);
+  assert.equal((await call(null, 'generateCredentials', { name: 'taken' })).name, 'taken');
+  assert.deepEqual(await rpc({ method: 'generateCredentials', params: { name: 'taken' } }),
+    { success: false, error: 'Username already taken' });
+});
+
+test('a guest discovers the host\'s offer, answers it and they swap candidates', async () => {
+  const host = await signUp('offer-host');
+  const guest = await signUp('offer-guest');
+  const published = await call(host, 'publishOffer', { tags: ['offer-answer'], offers: [{ sdp: 'offer-sdp' }] });
+  const { offerId } = published.offers[0];
+
+  // The host doesn't find its own offer
+  assert.equal((await rpc({ method: 'discover', params: { tags: ['offer-answer'] } }, host)).success, false);
+  const found = await call(guest, 'discover', { tags: ['offer-answer'] });
+  assert.deepEqual([found.offerId, found.username, found.sdp], [offerId, host, 'offer-sdp']);
+
+  await call(guest, 'answerOffer', { offerId, sdp: 'answer-sdp' });
+  await call(guest, 'addIceCandidates', { offerId, candidates: [{ candidate: 'guest-candidate' }] });
+  const { answers, iceCandidates } = await call(host, 'poll', { since: 0 });
+  assert.deepEqual(answers.map(a => [a.offerId, a.answererId, a.sdp]), [[offerId, guest, 'answer-sdp']]);
+  assert.deepEqual(iceCandidates[offerId].map(c => c.candidate), [{ candidate: 'guest-candidate' }]);
+
+  await call(host, 'addIceCandidates', { offerId, candidates: [{ candidate: 'host-candidate' }] });
+  const { candidates } = await call(guest, 'getIceCandidates', { offerId });
+  assert.deepEqual(candidates.map(c => c.candidate), [{ candidate: 'host-candidate' }]);
+});
+
+test('an offer is answered only once and can be withdrawn', async () => {
+  const host = await signUp('once-host');
+  const guest = await signUp('once-guest');
+  const late = await signUp('once-late');
+  const { offers: [{ offerId }] } = await call(host, 'publishOffer', { tags: ['once'], offers: [{ sdp: 'offer-sdp' }] });
+  await call(guest, 'answerOffer', { offerId, sdp: 'answer-sdp' });
+
+  const again = await rpc({ method: 'answerOffer', params: { offerId, sdp: 'late-sdp' } }, late);
+  assert.deepEqual(again, { success: false, error: 'Offer already answered' });
+  assert.equal((await call(late, 'discover', { tags: ['once'], limit: 10 })).count, 0);
+  assert.equal((await rpc({ method: 'getIceCandidates', params: { offerId } }, late)).success, false);
+
+  await call(host, 'deleteOffer', { offerId });
+  assert.equal((await rpc({ method: 'getIceCandidates', params: { offerId } }, guest)).error, 'Offer not found');
+});
+
+test('batches are answered call by call, malformed calls are refused', async () => {
+  const name = await signUp('batch-user');
+  const replies = await rpc([
+    { method: 'publishOffer', params: { tags: ['batch'], offers: [{ sdp: 'a' }, { sdp: 'b' }] } },
+    { method: 'publishOffer', params: { tags: ['batch'] } },
+    { method: 'listServices', params: {} },
+  ], name);
+  assert.equal(replies[0].result.offers.length, 2);
+  assert.deepEqual(replies.slice(1), [
+    { success: false, error: 'Missing offers' },
+    { success: false, error: 'Unknown method: listServices' },
+  ]);
+
+  const anonymous = await rpc({ method: 'poll', params: {} });
+  assert.deepEqual(anonymous, { success: false, error: 'Authentication required' });
+  const res = await fetch(`${server.url}/offers`, { method: 'POST' });
+  assert.equal(res.status, 404);
+});